@@ -0,0 +1,48 @@
+// Resources API keys can be scoped to (the segment after /api/ in the URL)
+const API_KEY_RESOURCES = [
+  "stocks",
+  "comments",
+  "conversations",
+  "portfolios",
+  "articles",
+  "users",
+  "feed",
+  "badges",
+  "watchlists",
+  "alerts",
+  "notifications",
+  "screens",
+];
+
+// Every resource has a read scope (GET) and a write scope (everything else)
+const API_KEY_SCOPES = API_KEY_RESOURCES.flatMap((resource) => [
+  `${resource}:read`,
+  `${resource}:write`,
+]);
+
+const API_KEY_CONFIG = {
+  maxKeysPerUser: 10,
+  // Requests per minute for a key that doesn't set its own (lower) limit
+  defaultRateLimitPerMinute: parseInt(
+    process.env.API_KEY_RATE_LIMIT_PER_MINUTE || "60"
+  ),
+  maxExpiryDays: 365,
+};
+
+// Scope needed for a request, or null if API keys can't be used for it
+const getRequiredScope = (req) => {
+  const resource = req.baseUrl.split("/")[2];
+  if (!API_KEY_RESOURCES.includes(resource)) return null;
+
+  const access = ["GET", "HEAD", "OPTIONS"].includes(req.method)
+    ? "read"
+    : "write";
+  return `${resource}:${access}`;
+};
+
+module.exports = {
+  API_KEY_RESOURCES,
+  API_KEY_SCOPES,
+  API_KEY_CONFIG,
+  getRequiredScope,
+};
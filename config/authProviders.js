@@ -0,0 +1,138 @@
+const GoogleStrategy = require("passport-google-oauth20").Strategy;
+const GitHubStrategy = require("passport-github2").Strategy;
+const DiscordStrategy = require("passport-discord").Strategy;
+const OidcStrategy = require("../utils/oidcStrategy");
+
+// Pick the first verified address from a passport profile's email list
+const firstVerifiedEmail = (emails = []) => {
+  const email =
+    emails.find((entry) => entry.primary && entry.verified) ||
+    emails.find((entry) => entry.verified);
+  return email ? email.value : null;
+};
+
+/**
+ * Login provider registry
+ *
+ * Each provider is enabled when its credentials are configured. Definitions
+ * describe how to build the passport strategy and how to turn the provider's
+ * profile into the shape shared by all providers:
+ * `{ id, email, emailVerified, displayName }`, where `email` is only set
+ * when the provider says the address is verified.
+ */
+const AUTH_PROVIDERS = {
+  google: {
+    label: "Google",
+    scope: ["profile", "email"],
+    isEnabled: () =>
+      !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET),
+    createStrategy: (options, verify) =>
+      new GoogleStrategy(
+        {
+          ...options,
+          clientID: process.env.GOOGLE_CLIENT_ID,
+          clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+        },
+        verify
+      ),
+    normalizeProfile: (profile) => ({
+      id: profile.id,
+      email: firstVerifiedEmail(profile.emails),
+      displayName: profile.displayName,
+    }),
+  },
+
+  github: {
+    label: "GitHub",
+    scope: ["user:email"],
+    isEnabled: () =>
+      !!(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET),
+    createStrategy: (options, verify) =>
+      new GitHubStrategy(
+        {
+          ...options,
+          clientID: process.env.GITHUB_CLIENT_ID,
+          clientSecret: process.env.GITHUB_CLIENT_SECRET,
+          // Without this the profile only has the primary address, with no
+          // verified flag
+          allRawEmails: true,
+        },
+        verify
+      ),
+    normalizeProfile: (profile) => ({
+      id: String(profile.id),
+      email: firstVerifiedEmail(profile.emails),
+      displayName: profile.displayName || profile.username,
+    }),
+  },
+
+  discord: {
+    label: "Discord",
+    scope: ["identify", "email"],
+    isEnabled: () =>
+      !!(process.env.DISCORD_CLIENT_ID && process.env.DISCORD_CLIENT_SECRET),
+    createStrategy: (options, verify) =>
+      new DiscordStrategy(
+        {
+          ...options,
+          clientID: process.env.DISCORD_CLIENT_ID,
+          clientSecret: process.env.DISCORD_CLIENT_SECRET,
+        },
+        verify
+      ),
+    normalizeProfile: (profile) => ({
+      id: profile.id,
+      email: profile.verified ? profile.email : null,
+      displayName: profile.global_name || profile.username,
+    }),
+  },
+
+  // Any OpenID Connect provider (Okta, Auth0, Keycloak, ...)
+  oidc: {
+    label: process.env.OIDC_LABEL || "Single sign-on",
+    scope: ["openid", "profile", "email"],
+    isEnabled: () =>
+      !!(
+        process.env.OIDC_CLIENT_ID &&
+        process.env.OIDC_CLIENT_SECRET &&
+        process.env.OIDC_AUTHORIZATION_URL &&
+        process.env.OIDC_TOKEN_URL &&
+        process.env.OIDC_USERINFO_URL
+      ),
+    createStrategy: (options, verify) =>
+      new OidcStrategy(
+        {
+          ...options,
+          name: "oidc",
+          clientID: process.env.OIDC_CLIENT_ID,
+          clientSecret: process.env.OIDC_CLIENT_SECRET,
+          authorizationURL: process.env.OIDC_AUTHORIZATION_URL,
+          tokenURL: process.env.OIDC_TOKEN_URL,
+          userInfoURL: process.env.OIDC_USERINFO_URL,
+        },
+        verify
+      ),
+    normalizeProfile: (profile) => ({
+      id: profile.id,
+      email: firstVerifiedEmail(profile.emails),
+      displayName: profile.displayName || profile.username,
+    }),
+  },
+};
+
+// Add (or replace) a provider definition
+const registerAuthProvider = (name, definition) => {
+  AUTH_PROVIDERS[name] = definition;
+};
+
+// Names of providers with credentials configured
+const getEnabledAuthProviders = () =>
+  Object.keys(AUTH_PROVIDERS).filter((name) =>
+    AUTH_PROVIDERS[name].isEnabled()
+  );
+
+module.exports = {
+  AUTH_PROVIDERS,
+  registerAuthProvider,
+  getEnabledAuthProviders,
+};
@@ -0,0 +1,86 @@
+// Events that cause a user's badges to be re-evaluated
+const BADGE_TRIGGERS = [
+  "comment_created",
+  "conversation_created",
+  "portfolio_created",
+  "comment_liked",
+  "conversation_liked",
+  "portfolio_voted",
+];
+
+// Badge definitions. Each badge is awarded once `metric` (see utils/badges.js)
+// reaches `threshold`, and is checked whenever one of its `triggers` fires.
+const BADGES = [
+  {
+    id: "first_comment",
+    name: "First comment",
+    description: "Posted a comment under your own name",
+    metric: "comments",
+    threshold: 1,
+    triggers: ["comment_created"],
+  },
+  {
+    id: "first_conversation",
+    name: "Conversation starter",
+    description: "Started a conversation",
+    metric: "conversations",
+    threshold: 1,
+    triggers: ["conversation_created"],
+  },
+  {
+    id: "first_portfolio",
+    name: "First portfolio",
+    description: "Shared a portfolio",
+    metric: "portfolios",
+    threshold: 1,
+    triggers: ["portfolio_created"],
+  },
+  {
+    id: "upvoted_comments_100",
+    name: "100 upvoted comments",
+    description: "Had 100 of your comments liked",
+    metric: "likedComments",
+    threshold: 100,
+    triggers: ["comment_liked"],
+  },
+  {
+    id: "popular_conversation",
+    name: "Hot topic",
+    description: "Started a conversation with 25 likes",
+    metric: "maxConversationLikes",
+    threshold: 25,
+    triggers: ["conversation_liked"],
+  },
+  {
+    id: "called_it",
+    name: "Called it",
+    description: "Shared a GAINS portfolio that reached 25 upvotes",
+    metric: "maxGainsPortfolioUpvotes",
+    threshold: 25,
+    triggers: ["portfolio_voted"],
+  },
+  {
+    id: "reputation_100",
+    name: "Respected",
+    description: "Earned 100 reputation",
+    metric: "reputation",
+    threshold: 100,
+    triggers: ["comment_liked", "conversation_liked", "portfolio_voted"],
+  },
+  {
+    id: "reputation_1000",
+    name: "Trusted voice",
+    description: "Earned 1,000 reputation",
+    metric: "reputation",
+    threshold: 1000,
+    triggers: ["comment_liked", "conversation_liked", "portfolio_voted"],
+  },
+];
+
+const getBadge = (id) => BADGES.find((badge) => badge.id === id);
+
+module.exports = {
+  BADGE_TRIGGERS,
+  BADGES,
+  getBadge,
+};
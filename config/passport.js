@@ -1,66 +1,23 @@
 const passport = require("passport");
-const GoogleStrategy = require("passport-google-oauth20").Strategy;
-const User = require("../models/user.model");
+const { AUTH_PROVIDERS, getEnabledAuthProviders } = require("./authProviders");
+const { createVerifyCallback } = require("../utils/oauthAccounts");
 
-// Google OAuth Strategy
-passport.use(
-  new GoogleStrategy(
-    {
-      clientID: process.env.GOOGLE_CLIENT_ID,
-      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-      callbackURL: `${
-        process.env.API_URL || "http://localhost:5000"
-      }/api/auth/google/callback`,
-    },
-    async (accessToken, refreshToken, profile, done) => {
-      try {
-        // Check if user already exists
-        let user = await User.findOne({ email: profile.emails[0].value });
+const API_URL = process.env.API_URL || "http://localhost:5000";
 
-        if (user) {
-          // Update user's Google ID and profile if not set
-          if (!user.googleId) {
-            user.googleId = profile.id;
-            // Only update username if it was auto-generated (contains the random string)
-            if (user.username.includes("user_")) {
-              user.username = profile.displayName
-                .replace(/\s+/g, "_")
-                .toLowerCase();
-            }
-            await user.save();
-          }
-          return done(null, user);
-        }
+// Register a strategy for every login provider with credentials configured
+getEnabledAuthProviders().forEach((provider) => {
+  const definition = AUTH_PROVIDERS[provider];
 
-        // Generate a unique username from display name
-        const baseUsername = profile.displayName
-          .replace(/\s+/g, "_")
-          .toLowerCase();
-        let username = baseUsername;
-        let counter = 1;
-
-        // Keep trying until we find a unique username
-        while (await User.findOne({ username })) {
-          username = `${baseUsername}_${counter}`;
-          counter++;
-        }
-
-        // Create new user
-        user = new User({
-          username,
-          email: profile.emails[0].value,
-          googleId: profile.id,
-          password: Math.random().toString(36).slice(-8), // Random password for social auth users
-        });
-
-        await user.save();
-        done(null, user);
-      } catch (error) {
-        console.error("Passport Google Strategy Error:", error);
-        done(error, null);
-      }
-    }
-  )
-);
+  passport.use(
+    provider,
+    definition.createStrategy(
+      {
+        callbackURL: `${API_URL}/api/auth/${provider}/callback`,
+        passReqToCallback: true,
+      },
+      createVerifyCallback(provider, definition)
+    )
+  );
+});
 
 module.exports = passport;
@@ -0,0 +1,51 @@
+// Roles in ascending order of privilege
+const ROLES = ["user", "moderator", "editor", "admin"];
+
+// Every permission that can be granted
+const PERMISSIONS = [
+  "articles:read_all", // see drafts in the admin article list
+  "articles:publish", // create and edit articles
+  "articles:delete",
+  "stocks:create",
+  "stocks:update",
+  "stocks:delete",
+  "comments:moderate", // delete any stock or conversation comment
+  "portfolios:moderate", // delete any portfolio post
+  "users:moderate", // suspend, ban and shadowban users
+  "users:manage", // list users and assign roles
+];
+
+// Permissions granted to each role
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ["comments:moderate", "portfolios:moderate", "users:moderate"],
+  editor: [
+    "articles:read_all",
+    "articles:publish",
+    "articles:delete",
+    "stocks:create",
+    "stocks:update",
+    "stocks:delete",
+  ],
+  admin: PERMISSIONS,
+};
+
+// Roles that must enroll in two-factor authentication when REQUIRE_ADMIN_2FA is on
+// (every role with a privileged permission)
+const TWO_FACTOR_REQUIRED_ROLES = ["moderator", "editor", "admin"];
+
+// List the permissions for a role (unknown roles get none)
+const getPermissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+// Check whether a role grants a permission
+const roleHasPermission = (role, permission) =>
+  getPermissionsForRole(role).includes(permission);
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  TWO_FACTOR_REQUIRED_ROLES,
+  getPermissionsForRole,
+  roleHasPermission,
+};
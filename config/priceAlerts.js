@@ -0,0 +1,14 @@
+// What a price alert watches for:
+// - above / below: the price crosses a level
+// - percent_change: the day's change (either way) reaches a percentage
+const PRICE_ALERT_CONDITIONS = ["above", "below", "percent_change"];
+
+const PRICE_ALERT_LIMITS = {
+  maxAlertsPerUser: 50,
+  maxNoteLength: 500,
+};
+
+module.exports = {
+  PRICE_ALERT_CONDITIONS,
+  PRICE_ALERT_LIMITS,
+};
@@ -0,0 +1,42 @@
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Bar sizes the stock updater records (times are UTC)
+const STORED_INTERVALS = {
+  "1h": { ms: HOUR_MS },
+  "1d": { ms: DAY_MS },
+};
+
+// Bar sizes the history endpoint serves. Larger bars are aggregated from a
+// stored interval using $dateTrunc; defaultRangeMs is used when no `from` is given.
+const HISTORY_INTERVALS = {
+  "1h": { source: "1h", defaultRangeMs: 7 * DAY_MS },
+  "4h": {
+    source: "1h",
+    unit: "hour",
+    binSize: 4,
+    defaultRangeMs: 30 * DAY_MS,
+  },
+  "1d": { source: "1d", defaultRangeMs: 365 * DAY_MS },
+  "1w": {
+    source: "1d",
+    unit: "week",
+    binSize: 1,
+    defaultRangeMs: 5 * 365 * DAY_MS,
+  },
+  "1mo": {
+    source: "1d",
+    unit: "month",
+    binSize: 1,
+    defaultRangeMs: 10 * 365 * DAY_MS,
+  },
+};
+
+// Most bars a single history request can return
+const MAX_HISTORY_BARS = 2000;
+
+module.exports = {
+  STORED_INTERVALS,
+  HISTORY_INTERVALS,
+  MAX_HISTORY_BARS,
+};
@@ -0,0 +1,12 @@
+// Points credited to a content author for each kind of vote
+const REPUTATION_ACTIONS = {
+  comment_like: { sourceType: "comment", points: 2 },
+  comment_dislike: { sourceType: "comment", points: -1 },
+  conversation_like: { sourceType: "conversation", points: 5 },
+  portfolio_upvote: { sourceType: "portfolio", points: 5 },
+  portfolio_downvote: { sourceType: "portfolio", points: -2 },
+};
+
+module.exports = {
+  REPUTATION_ACTIONS,
+};
@@ -0,0 +1,16 @@
+// Who can see a saved screen:
+// - public: anyone, and it can appear in the popular list
+// - unlisted: anyone with the link
+// - private: only its owner
+const SAVED_SCREEN_VISIBILITIES = ["public", "unlisted", "private"];
+
+const SAVED_SCREEN_LIMITS = {
+  maxScreensPerUser: 50,
+  maxNameLength: 100,
+  maxDescriptionLength: 500,
+};
+
+module.exports = {
+  SAVED_SCREEN_VISIBILITIES,
+  SAVED_SCREEN_LIMITS,
+};
@@ -0,0 +1,39 @@
+// Fields the stock screener can filter and sort on. All but the
+// low-cardinality flags are indexed on the Stock schema, so a field added
+// here needs an index there too.
+
+// Numeric fields filtered by range (?<field>Min= / ?<field>Max=)
+const SCREENER_RANGE_FIELDS = [
+  "marketCap",
+  "beta",
+  "currentPrice",
+  "percentChange",
+  "volume",
+  "lastDividend",
+];
+
+// Text fields filtered by exact value (?<field>=A,B matches either)
+const SCREENER_EQUALITY_FIELDS = ["sector", "industry", "exchange", "country"];
+
+// Boolean flags (?<field>=true|false)
+const SCREENER_FLAG_FIELDS = ["isEtf", "isFund", "isAdr"];
+
+// Fields results can be sorted by (?sort=-marketCap,symbol)
+const SCREENER_SORT_FIELDS = [
+  ...SCREENER_RANGE_FIELDS,
+  "symbol",
+  "name",
+  "commentCount",
+  "bullishVotes",
+  "bearishVotes",
+];
+
+const SCREENER_DEFAULT_SORT = "-marketCap";
+
+module.exports = {
+  SCREENER_RANGE_FIELDS,
+  SCREENER_EQUALITY_FIELDS,
+  SCREENER_FLAG_FIELDS,
+  SCREENER_SORT_FIELDS,
+  SCREENER_DEFAULT_SORT,
+};
@@ -0,0 +1,19 @@
+// Sentiment a user can vote on a stock, and the Stock field counting each
+const SENTIMENT_COUNT_FIELDS = {
+  bullish: "bullishVotes",
+  bearish: "bearishVotes",
+};
+
+const SENTIMENTS = Object.keys(SENTIMENT_COUNT_FIELDS);
+
+// Days of history the sentiment endpoint returns
+const SENTIMENT_HISTORY_DAYS = {
+  default: 30,
+  max: 365,
+};
+
+module.exports = {
+  SENTIMENTS,
+  SENTIMENT_COUNT_FIELDS,
+  SENTIMENT_HISTORY_DAYS,
+};
@@ -0,0 +1,11 @@
+// Limits on watchlists, to keep documents and quote lookups small
+const WATCHLIST_LIMITS = {
+  maxListsPerUser: 20,
+  maxEntriesPerList: 200,
+  maxNameLength: 100,
+  maxNoteLength: 1000,
+};
+
+module.exports = {
+  WATCHLIST_LIMITS,
+};
@@ -0,0 +1,104 @@
+/**
+ * Account Controller
+ *
+ * Handles personal data export and account deletion
+ * for the current user.
+ */
+
+const User = require("../models/user.model");
+const { buildUserExport, streamExportZip } = require("../utils/dataExport");
+const { deleteAccount } = require("../utils/accountDeletion");
+
+/**
+ * Download everything stored about the current user
+ *
+ * @param {Object} req - Express request object with optional format query parameter ("json" or "zip")
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON export, or a zip archive of JSON files
+ */
+exports.exportMyData = async (req, res) => {
+  try {
+    const format = req.query.format || "json";
+    if (!["json", "zip"].includes(format)) {
+      return res
+        .status(400)
+        .json({ message: "Invalid format. Must be 'json' or 'zip'" });
+    }
+
+    const data = await buildUserExport(req.userId);
+    if (!data.profile) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const fileName = `${data.profile.username}-export-${Date.now()}`;
+
+    if (format === "zip") {
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${fileName}.zip"`
+      );
+      return await streamExportZip(data, res);
+    }
+
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${fileName}.json"`
+    );
+    res.status(200).json(data);
+  } catch (error) {
+    console.error("Error exporting user data:", error);
+    // Headers are already sent if the zip failed part-way through
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Delete the current user's account
+ *
+ * The account is disabled now and permanently removed once the grace
+ * period ends; until then POST /api/auth/restore-account cancels it.
+ * Requires the account password. Accounts without a password (provider
+ * sign-in only) confirm with their username instead.
+ *
+ * @param {Object} req - Express request object with password or confirmUsername in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - When the account will be permanently removed
+ */
+exports.deleteMyAccount = async (req, res) => {
+  try {
+    const { password, confirmUsername } = req.body;
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.deletionRequestedAt) {
+      return res
+        .status(400)
+        .json({ message: "Account is already scheduled for deletion" });
+    }
+
+    const confirmed = password
+      ? await user.comparePassword(password)
+      : !user.hasPassword() && confirmUsername === user.username;
+    if (!confirmed) {
+      return res.status(401).json({
+        message: "Confirm account deletion with your password",
+      });
+    }
+
+    const scheduledFor = await deleteAccount(user);
+
+    res.status(200).json({
+      message:
+        "Your account has been disabled. It will be permanently deleted and your posts anonymized after the grace period, unless you restore it before then.",
+      permanentDeletionAt: scheduledFor,
+    });
+  } catch (error) {
+    console.error("Error deleting account:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -0,0 +1,164 @@
+/**
+ * API Key Controller
+ *
+ * Handles creating, listing and revoking personal API keys
+ * used by bots and integrations.
+ */
+
+const mongoose = require("mongoose");
+const ApiKey = require("../models/apiKey.model");
+const { API_KEY_SCOPES, API_KEY_CONFIG } = require("../config/apiKeys");
+
+// Fields returned for a key (never the hash)
+const toApiKeyResponse = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  rateLimitPerMinute:
+    apiKey.rateLimitPerMinute || API_KEY_CONFIG.defaultRateLimitPerMinute,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt,
+});
+
+/**
+ * List the current user's API keys
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - API keys and the scopes that can be granted
+ */
+exports.listApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.userId })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      apiKeys: apiKeys.map(toApiKeyResponse),
+      availableScopes: API_KEY_SCOPES,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Create an API key for the current user
+ *
+ * The raw key is only returned in this response; just its hash is stored.
+ *
+ * @param {Object} req - Express request object with name, scopes and optional expiresInDays and rateLimitPerMinute in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - The new key, including the raw key
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays, rateLimitPerMinute } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: "Key name is required" });
+    }
+
+    if (
+      !Array.isArray(scopes) ||
+      scopes.length === 0 ||
+      scopes.some((scope) => !API_KEY_SCOPES.includes(scope))
+    ) {
+      return res.status(400).json({
+        message: `Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = parseInt(expiresInDays);
+      if (!days || days < 1 || days > API_KEY_CONFIG.maxExpiryDays) {
+        return res.status(400).json({
+          message: `Expiry must be between 1 and ${API_KEY_CONFIG.maxExpiryDays} days`,
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    // Keys may lower their rate limit but not raise it above the default
+    let keyRateLimit;
+    if (rateLimitPerMinute !== undefined && rateLimitPerMinute !== null) {
+      keyRateLimit = parseInt(rateLimitPerMinute);
+      if (
+        !keyRateLimit ||
+        keyRateLimit < 1 ||
+        keyRateLimit > API_KEY_CONFIG.defaultRateLimitPerMinute
+      ) {
+        return res.status(400).json({
+          message: `Rate limit must be between 1 and ${API_KEY_CONFIG.defaultRateLimitPerMinute} requests per minute`,
+        });
+      }
+    }
+
+    const activeKeyCount = await ApiKey.countDocuments({
+      user: req.userId,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    });
+    if (activeKeyCount >= API_KEY_CONFIG.maxKeysPerUser) {
+      return res.status(400).json({
+        message: `You can have at most ${API_KEY_CONFIG.maxKeysPerUser} active API keys`,
+      });
+    }
+
+    const { rawKey, keyHash, prefix } = ApiKey.generateKey();
+    const apiKey = await ApiKey.create({
+      user: req.userId,
+      name: name.trim(),
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      rateLimitPerMinute: keyRateLimit,
+      expiresAt,
+    });
+
+    res.status(201).json({
+      message: "API key created. Copy it now; it won't be shown again.",
+      key: rawKey,
+      apiKey: toApiKeyResponse(apiKey),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Revoke one of the current user's API keys
+ *
+ * @param {Object} req - Express request object with key ID in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid API key ID format" });
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: id, user: req.userId });
+    if (!apiKey) {
+      return res.status(404).json({ message: "API key not found" });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.status(200).json({ message: "API key revoked" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -1,5 +1,4 @@
 const Article = require("../models/article.model");
-const User = require("../models/user.model");
 
 // Get all published articles (public)
 exports.getAllArticles = async (req, res) => {
@@ -15,15 +14,9 @@ exports.getAllArticles = async (req, res) => {
   }
 };
 
-// Get all articles (admin only)
+// Get all articles (requires article permissions)
 exports.getAllArticlesAdmin = async (req, res) => {
   try {
-    // Check if user is admin
-    const user = await User.findById(req.userId);
-    if (!user.isAdmin) {
-      return res.status(403).json({ message: "Access denied. Admin only." });
-    }
-
     const articles = await Article.find()
       .sort({ createdAt: -1 })
       .populate("author", "username")
@@ -51,15 +44,9 @@ exports.getArticleById = async (req, res) => {
   }
 };
 
-// Create a new article (admin only)
+// Create a new article (requires article permissions)
 exports.createArticle = async (req, res) => {
   try {
-    // Check if user is admin
-    const user = await User.findById(req.userId);
-    if (!user.isAdmin) {
-      return res.status(403).json({ message: "Access denied. Admin only." });
-    }
-
     const { title, content, excerpt, category, readTime, isPublished } =
       req.body;
 
@@ -85,15 +72,9 @@ exports.createArticle = async (req, res) => {
   }
 };
 
-// Update an article (admin only)
+// Update an article (requires article permissions)
 exports.updateArticle = async (req, res) => {
   try {
-    // Check if user is admin
-    const user = await User.findById(req.userId);
-    if (!user.isAdmin) {
-      return res.status(403).json({ message: "Access denied. Admin only." });
-    }
-
     const article = await Article.findById(req.params.id);
 
     if (!article) {
@@ -126,15 +107,9 @@ exports.updateArticle = async (req, res) => {
   }
 };
 
-// Delete an article (admin only)
+// Delete an article (requires article permissions)
 exports.deleteArticle = async (req, res) => {
   try {
-    // Check if user is admin
-    const user = await User.findById(req.userId);
-    if (!user.isAdmin) {
-      return res.status(403).json({ message: "Access denied. Admin only." });
-    }
-
     const article = await Article.findById(req.params.id);
     if (!article) {
       return res.status(404).json({ message: "Article not found" });
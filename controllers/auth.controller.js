@@ -1,8 +1,57 @@
 const User = require("../models/user.model");
-const jwt = require("jsonwebtoken");
-
-// JWT secret key
-const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
+const UsernameHistory = require("../models/usernameHistory.model");
+const {
+  generateChallengeToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  revokeOtherSessions,
+} = require("../utils/authTokens");
+const { sendMail } = require("../utils/mailer");
+const { getPermissionsForRole } = require("../config/permissions");
+const { AUTH_PROVIDERS } = require("../config/authProviders");
+const { sendOAuthResponse } = require("../utils/oauthResponse");
+const { bannedResponse } = require("../utils/moderation");
+const { cancelAccountDeletion } = require("../utils/accountDeletion");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  sendLockedOut,
+} = require("../utils/loginThrottle");
+const bcrypt = require("bcryptjs");
+
+// Same message for unknown emails and wrong passwords
+const INVALID_LOGIN_MESSAGE = "Invalid email or password";
+
+// bcrypt hash compared against when no user matches, to equalize timing
+const DUMMY_PASSWORD_HASH =
+  "$2a$10$r200mjTZ6Lyvq25XxjRFBeUNanv0.4T.8F8aO9/h5vp0z1H4y7Ez.";
+
+// Minimum time between verification emails for the same account
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Minimum time between username changes
+const USERNAME_CHANGE_COOLDOWN_DAYS = parseInt(
+  process.env.USERNAME_CHANGE_COOLDOWN_DAYS || "30"
+);
+
+// Email a fresh verification link to a user (saves the new token)
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  const verifyUrl = `${
+    process.env.CLIENT_URL || "http://localhost:3000"
+  }/verify-email?token=${verificationToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Stock Forum email address",
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening the link below within the next 24 hours:\n\n${verifyUrl}\n\nIf you didn't create an account, you can ignore this email.`,
+  });
+};
 
 // Register a new user
 exports.register = async (req, res) => {
@@ -21,7 +70,10 @@ exports.register = async (req, res) => {
     let finalUsername = username;
     let counter = 1;
 
-    while (await User.findOne({ username: finalUsername })) {
+    while (
+      (await User.findOne({ username: finalUsername })) ||
+      (await UsernameHistory.isReserved(finalUsername))
+    ) {
       finalUsername = `${username}${counter}`;
       counter++;
     }
@@ -35,20 +87,25 @@ exports.register = async (req, res) => {
 
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, username: user.username },
-      JWT_SECRET,
-      { expiresIn: "24h" }
-    );
+    // Registration still succeeds if the email can't be sent; the user can resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error("Failed to send verification email:", mailError);
+    }
+
+    // Start a new session
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(201).json({
       message: "User registered successfully",
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
       },
     });
   } catch (error) {
@@ -56,175 +113,491 @@ exports.register = async (req, res) => {
   }
 };
 
+// Check the email and password in the body, counting failures towards the
+// login lockout (sends the error response and returns null on failure)
+const checkCredentials = async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    res.status(400).json({ message: "Email and password are required" });
+    return null;
+  }
+
+  // Refuse attempts while the account or client IP is locked out
+  const attempt = { email, ip: req.ip };
+  const { allowed, retryAfterMs } = await checkLoginAllowed(attempt);
+  if (!allowed) {
+    sendLockedOut(res, retryAfterMs);
+    return null;
+  }
+
+  // Find user by email
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+  // Check password (compare against a dummy hash for unknown emails so
+  // response timing doesn't reveal which accounts exist)
+  const isMatch = user
+    ? await user.comparePassword(password)
+    : await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+  if (!user || !isMatch) {
+    const failure = await recordLoginFailure(attempt);
+    if (failure.retryAfterMs > 0) {
+      sendLockedOut(res, failure.retryAfterMs);
+    } else {
+      res.status(401).json({ message: INVALID_LOGIN_MESSAGE });
+    }
+    return null;
+  }
+
+  return { user, attempt };
+};
+
 // Login user
 exports.login = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const credentials = await checkCredentials(req, res);
+    if (!credentials) return;
+    const { user, attempt } = credentials;
+
+    if (user.deletionRequestedAt) {
+      return res.status(403).json({
+        message:
+          "This account is scheduled for deletion. Restore it to log in again.",
+        code: "ACCOUNT_DELETED",
+        permanentDeletionAt: user.deletionScheduledFor,
+      });
+    }
 
-    // Find user by email
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+    if (user.isBanned()) {
+      return res.status(403).json(bannedResponse(user));
     }
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(401).json({ message: "Invalid credentials" });
+    // With 2FA enabled, hand out a challenge instead of a session
+    // (the failure counter is cleared once the second step succeeds)
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user),
+      });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, username: user.username },
-      JWT_SECRET,
-      { expiresIn: "24h" }
-    );
+    await recordLoginSuccess(attempt);
+
+    // Start a new session
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(200).json({
       message: "Login successful",
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
       },
+      twoFactorSetupRequired: user.requiresTwoFactor(),
     });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
-// Get current user
-exports.getCurrentUser = async (req, res) => {
+/**
+ * Restore an account that is scheduled for deletion
+ *
+ * Doesn't sign in; the user logs in as usual afterwards. Accounts without
+ * a password can set one through the password reset flow first.
+ *
+ * @param {Object} req - Express request object with email and password in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message
+ */
+exports.restoreAccount = async (req, res) => {
+  try {
+    const credentials = await checkCredentials(req, res);
+    if (!credentials) return;
+    const { user, attempt } = credentials;
+
+    if (!user.deletionRequestedAt) {
+      return res
+        .status(400)
+        .json({ message: "This account is not scheduled for deletion" });
+    }
+
+    if (user.isBanned()) {
+      return res.status(403).json(bannedResponse(user));
+    }
+
+    await recordLoginSuccess(attempt);
+    await cancelAccountDeletion(user);
+
+    res.status(200).json({
+      message: "Your account has been restored. You can log in again.",
+    });
+  } catch (error) {
+    console.error("Error restoring account:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+exports.refreshToken = async (req, res) => {
   try {
-    const user = await User.findById(req.userId).select("-password");
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (!result) {
+      return res
+        .status(401)
+        .json({ message: "Refresh token is invalid or expired" });
+    }
+
+    res.status(200).json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+      user: {
+        id: result.user._id,
+        username: result.user.username,
+        email: result.user.email,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Log out the session a refresh token belongs to
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    await revokeRefreshToken(refreshToken, "logout");
+
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Log out every session of the current user on all devices
+exports.logoutAll = async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.userId, "logout_all");
+
+    res.status(200).json({
+      message: "Logged out of all devices",
+      revokedSessions: result.modifiedCount,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Request a password reset link
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    // Always respond the same way so the endpoint can't be used to probe emails
+    const genericResponse = {
+      message:
+        "If an account exists for this email, a password reset link has been sent",
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
     if (!user) {
-      return res.status(404).json({ message: "User not found" });
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const resetUrl = `${
+      process.env.CLIENT_URL || "http://localhost:3000"
+    }/reset-password?token=${resetToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Stock Forum password",
+        text: `Hi ${user.username},\n\nWe received a request to reset your password. Use the link below within the next hour to choose a new one:\n\n${resetUrl}\n\nIf you didn't request this, you can ignore this email.`,
+      });
+    } catch (mailError) {
+      // Don't leave a usable token behind if the email never went out, and
+      // answer as usual so a failure doesn't reveal that the account exists
+      console.error("Error sending password reset email:", mailError);
+      user.passwordResetTokenHash = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
     }
 
-    res.status(200).json(user);
+    res.status(200).json(genericResponse);
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
-// Helper function to generate the OAuth response HTML
-const generateOAuthResponse = (data, error = null) => {
-  const responseData = error
-    ? { type: "social_auth_error", error }
-    : { type: "social_auth_success", ...data };
-
-  return `
-    <!DOCTYPE html>
-    <html>
-      <head>
-        <title>Authentication Complete</title>
-      </head>
-      <body>
-        <script>
-          function getAllowedOrigins() {
-            const clientUrl = "${
-              process.env.CLIENT_URL || "http://localhost:3000"
-            }";
-            // Add both the exact URL and any potential protocol variations
-            return [
-              clientUrl,
-              clientUrl.replace('http://', 'https://'),
-              clientUrl.replace('https://', 'http://')
-            ];
-          }
-
-          function postMessageToOpener(data) {
-            const allowedOrigins = getAllowedOrigins();
-            console.log('Allowed origins:', allowedOrigins);
-            
-            for (const origin of allowedOrigins) {
-              try {
-                console.log('Attempting to post message to:', origin);
-                window.opener.postMessage(data, origin);
-              } catch (err) {
-                console.error('Error posting to ' + origin + ':', err);
-              }
-            }
-          }
-
-          try {
-            if (window.opener) {
-              console.log('Found opener window, posting message');
-              const data = ${JSON.stringify(responseData)};
-              postMessageToOpener(data);
-            } else {
-              console.error('No opener window found');
-            }
-          } catch (err) {
-            console.error('Error in OAuth response:', err);
-          } finally {
-            // Close the popup after a short delay
-            setTimeout(() => window.close(), 1000);
-          }
-        </script>
-        <p>Authentication complete. You can close this window.</p>
-      </body>
-    </html>
-  `;
+// Reset password using a token from the reset email
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: "Reset token is required" });
+    }
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        message: "Password must be at least 6 characters long",
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: User.hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    });
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "Reset token is invalid or has expired" });
+    }
+
+    // Consume the token so it can only be used once
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out every existing session
+    await revokeAllSessions(user._id, "password_reset");
+
+    res.status(200).json({
+      message: "Password has been reset. Please log in with your new password.",
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
 };
 
-// Google OAuth callback handler
-exports.googleCallback = async (req, res) => {
+/**
+ * Set or change the current user's password
+ *
+ * Accounts created through a login provider have no password and can set
+ * one directly; accounts with a password must confirm the current one.
+ *
+ * @param {Object} req - Express request object with newPassword and (if a password is set) currentPassword in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message
+ */
+exports.setPassword = async (req, res) => {
   try {
-    console.log("Google callback received:", {
-      user: req.user,
-      headers: req.headers,
-      referrer: req.headers.referer,
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword || newPassword.length < 6) {
+      return res.status(400).json({
+        message: "Password must be at least 6 characters long",
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const hadPassword = user.hasPassword();
+    if (hadPassword && !(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // A changed password signs out other devices; setting a first one doesn't
+    if (hadPassword) {
+      await revokeOtherSessions(user._id, req.sessionId, "password_change");
+    }
+
+    res.status(200).json({
+      message: hadPassword
+        ? "Password changed successfully"
+        : "Password set successfully. You can now log in with your email and password.",
     });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
 
-    if (!req.user) {
-      console.log("No user data in request");
-      return res.send(
-        generateOAuthResponse(null, "Google authentication failed")
-      );
+// Verify an email address using the token from the verification email
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res
+        .status(400)
+        .json({ message: "Verification token is required" });
     }
 
-    const token = jwt.sign({ id: req.user._id }, JWT_SECRET, {
-      expiresIn: "24h",
+    const user = await User.findOne({
+      emailVerificationTokenHash: User.hashToken(token),
+      emailVerificationExpires: { $gt: new Date() },
     });
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "Verification link is invalid or has expired" });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
 
-    const responseData = {
+    res.status(200).json({
+      message: "Email verified successfully",
       user: {
-        id: req.user._id,
-        email: req.user.email,
-        username: req.user.username,
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified,
       },
-      token,
-    };
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
 
-    console.log("Sending OAuth response:", responseData);
+// Resend the verification email to the current user
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
 
-    // Set security headers
-    res.setHeader("Cross-Origin-Opener-Policy", "unsafe-none");
-    res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
-    res.setHeader("Cross-Origin-Embedder-Policy", "unsafe-none");
+    if (user.emailVerified) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
 
-    // Set CORS headers
-    const clientOrigin = process.env.CLIENT_URL || "http://localhost:3000";
-    res.setHeader("Access-Control-Allow-Origin", clientOrigin);
-    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-    res.setHeader(
-      "Access-Control-Allow-Headers",
-      "Content-Type, Authorization"
+    if (
+      user.emailVerificationSentAt &&
+      Date.now() - user.emailVerificationSentAt.getTime() <
+        VERIFICATION_RESEND_COOLDOWN_MS
+    ) {
+      return res.status(429).json({
+        message: "Please wait a minute before requesting another email",
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({ message: "Verification email sent" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Get current user
+exports.getCurrentUser = async (req, res) => {
+  try {
+    // A shadowban is never revealed to the user it applies to
+    const user = await User.findById(req.userId).select(
+      "-password -moderation.shadowbannedAt -moderation.shadowbannedBy -moderation.shadowbanReason"
     );
-    res.setHeader("Access-Control-Allow-Credentials", "true");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
 
-    return res.send(generateOAuthResponse(responseData));
+    res.status(200).json({
+      ...user.toObject(),
+      permissions: getPermissionsForRole(user.role),
+    });
   } catch (error) {
-    console.error("Google callback error:", error);
-    return res.send(
-      generateOAuthResponse(null, "Internal server error during authentication")
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// OAuth callback handler shared by every login provider
+exports.oauthCallback = async (req, res) => {
+  const provider = req.params.provider;
+  const label = AUTH_PROVIDERS[provider]?.label || provider;
+
+  try {
+    if (!req.user) {
+      return sendOAuthResponse(
+        res,
+        null,
+        req.authInfo?.message || `${label} authentication failed`
+      );
+    }
+
+    if (req.user.deletionRequestedAt) {
+      return sendOAuthResponse(res, null, "This account has been deleted");
+    }
+
+    if (req.user.isBanned()) {
+      return sendOAuthResponse(res, null, "This account has been banned");
+    }
+
+    let responseData;
+    if (req.authInfo?.linked) {
+      // Account linking: the user is already signed in, so no new session
+      responseData = {
+        linked: true,
+        provider,
+      };
+    } else if (req.user.twoFactor?.enabled) {
+      // Finish the login through POST /api/auth/login/2fa
+      responseData = {
+        user: {
+          id: req.user._id,
+          email: req.user.email,
+          username: req.user.username,
+        },
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(req.user),
+      };
+    } else {
+      const { token, refreshToken } = await issueTokens(req.user, req);
+
+      responseData = {
+        user: {
+          id: req.user._id,
+          email: req.user.email,
+          username: req.user.username,
+        },
+        token,
+        refreshToken,
+      };
+    }
+
+    return sendOAuthResponse(res, { provider, ...responseData });
+  } catch (error) {
+    console.error(`${label} callback error:`, error);
+    return sendOAuthResponse(
+      res,
+      null,
+      "Internal server error during authentication"
     );
   }
 };
 
-// Update username
+// Update username (old names are kept in UsernameHistory)
 exports.updateUsername = async (req, res) => {
   try {
     const { username } = req.body;
@@ -236,27 +609,53 @@ exports.updateUsername = async (req, res) => {
       });
     }
 
-    // Check if username is already taken
-    const existingUser = await User.findOne({
-      username,
-      _id: { $ne: req.userId },
-    });
-    if (existingUser) {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.username === username) {
+      return res.status(400).json({ message: "That is already your username" });
+    }
+
+    // Limit how often a user can change their name
+    const lastChange = await UsernameHistory.findOne({ user: user._id })
+      .sort({ changedAt: -1 })
+      .select("changedAt")
+      .lean();
+    if (lastChange) {
+      const nextChangeAt = new Date(
+        lastChange.changedAt.getTime() +
+          USERNAME_CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000
+      );
+      if (nextChangeAt > new Date()) {
+        return res.status(429).json({
+          message: `You can change your username again after ${nextChangeAt.toISOString()}`,
+          nextChangeAt,
+        });
+      }
+    }
+
+    // Check if username is already taken or still reserved by its previous owner
+    const [existingUser, isReserved] = await Promise.all([
+      User.exists({ username, _id: { $ne: req.userId } }),
+      UsernameHistory.isReserved(username, user._id),
+    ]);
+    if (existingUser || isReserved) {
       return res.status(400).json({
         message: "Username is already taken",
       });
     }
 
-    // Update user
-    const user = await User.findByIdAndUpdate(
-      req.userId,
-      { username },
-      { new: true }
-    ).select("-password");
+    const oldUsername = user.username;
+    user.username = username;
+    await user.save();
 
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
+    await UsernameHistory.create({
+      user: user._id,
+      oldUsername,
+      newUsername: username,
+    });
 
     res.status(200).json({
       message: "Username updated successfully",
@@ -267,6 +666,10 @@ exports.updateUsername = async (req, res) => {
       },
     });
   } catch (error) {
+    // Lost a race with another user claiming the same name
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "Username is already taken" });
+    }
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
@@ -0,0 +1,136 @@
+/**
+ * Auth Provider Controller
+ *
+ * Handles listing, linking and unlinking external login
+ * providers (see config/authProviders.js) on the current user's account.
+ */
+
+const User = require("../models/user.model");
+const { generateLinkToken } = require("../utils/authTokens");
+const { setOAuthStateCookie } = require("../utils/oauthState");
+const {
+  AUTH_PROVIDERS,
+  getEnabledAuthProviders,
+} = require("../config/authProviders");
+
+/**
+ * List the current user's login methods
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - Whether a password is set and the linked providers
+ */
+exports.getProviders = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json({
+      hasPassword: user.hasPassword(),
+      providers: user.authProviders.map((linked) => ({
+        provider: linked.provider,
+        label: AUTH_PROVIDERS[linked.provider]?.label || linked.provider,
+        email: linked.email,
+        linkedAt: linked.linkedAt,
+      })),
+      availableProviders: getEnabledAuthProviders().map((provider) => ({
+        provider,
+        label: AUTH_PROVIDERS[provider].label,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Start linking a provider to the current user's account
+ *
+ * Returns a URL for the client to open; the provider redirects back to
+ * the usual OAuth callback, which links the account instead of signing in.
+ * The URL only works in the browser that made this request (it sets the
+ * OAuth state cookie), so the client must send it with credentials.
+ *
+ * @param {Object} req - Express request object with provider in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Authorization URL to open
+ */
+exports.startLink = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (!getEnabledAuthProviders().includes(provider)) {
+      return res.status(400).json({ message: "Unsupported login provider" });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.getAuthProvider(provider)) {
+      return res.status(400).json({
+        message: `A ${AUTH_PROVIDERS[provider].label} account is already linked`,
+      });
+    }
+
+    const linkToken = generateLinkToken(
+      user,
+      provider,
+      setOAuthStateCookie(res)
+    );
+    const apiUrl = process.env.API_URL || "http://localhost:5000";
+
+    res.status(200).json({
+      url: `${apiUrl}/api/auth/${provider}?link=${encodeURIComponent(
+        linkToken
+      )}`,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Unlink a provider from the current user's account
+ *
+ * Refuses to remove the last way the user can sign in.
+ *
+ * @param {Object} req - Express request object with provider in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message
+ */
+exports.unlinkProvider = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    const label = AUTH_PROVIDERS[provider]?.label || provider;
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.getAuthProvider(provider)) {
+      return res.status(404).json({ message: `No ${label} account is linked` });
+    }
+
+    if (user.countLoginMethods() <= 1) {
+      return res.status(400).json({
+        message:
+          "Cannot unlink your only login method. Set a password or link another provider first.",
+      });
+    }
+
+    user.authProviders = user.authProviders.filter(
+      (linked) => linked.provider !== provider
+    );
+    await user.save();
+
+    res.status(200).json({ message: `${label} account unlinked` });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -0,0 +1,80 @@
+/**
+ * Badge Controller
+ *
+ * Handles listing the available achievement badges and
+ * the badges a user has earned.
+ */
+
+const User = require("../models/user.model");
+const UserBadge = require("../models/userBadge.model");
+const { BADGES, getBadge } = require("../config/badges");
+
+// Public fields of a badge definition
+const toBadgeResponse = (badge) => ({
+  id: badge.id,
+  name: badge.name,
+  description: badge.description,
+});
+
+/**
+ * List every badge that can be earned
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Array} - Badge definitions with how many users hold each
+ */
+exports.getBadges = async (req, res) => {
+  try {
+    const holderCounts = await UserBadge.aggregate([
+      { $group: { _id: "$badge", holders: { $sum: 1 } } },
+    ]);
+    const holderCountMap = new Map(
+      holderCounts.map((item) => [item._id, item.holders])
+    );
+
+    res.status(200).json(
+      BADGES.map((badge) => ({
+        ...toBadgeResponse(badge),
+        holders: holderCountMap.get(badge.id) || 0,
+      }))
+    );
+  } catch (error) {
+    console.error("Error fetching badges:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * List badges earned by a user
+ *
+ * @param {Object} req - Express request object with username in params
+ * @param {Object} res - Express response object
+ * @returns {Array} - Earned badges, newest first
+ */
+exports.getUserBadges = async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username })
+      .select("_id")
+      .lean();
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const userBadges = await UserBadge.find({ user: user._id })
+      .sort({ awardedAt: -1 })
+      .lean();
+
+    res.status(200).json(
+      userBadges
+        // Skip badges that have since been retired from the registry
+        .filter((userBadge) => getBadge(userBadge.badge))
+        .map((userBadge) => ({
+          ...toBadgeResponse(getBadge(userBadge.badge)),
+          awardedAt: userBadge.awardedAt,
+        }))
+    );
+  } catch (error) {
+    console.error("Error fetching user badges:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -0,0 +1,182 @@
+/**
+ * Block Controller
+ *
+ * Handles blocking and muting other users and listing
+ * the current user's blocks and mutes.
+ */
+
+const User = require("../models/user.model");
+const Block = require("../models/block.model");
+const Follow = require("../models/follow.model");
+const { getPagination, buildPagination } = require("../utils/pagination");
+
+// Find the target user, rejecting unknown users and the current user
+const findTarget = async (req, res) => {
+  const target = await User.findOne({ username: req.params.username })
+    .select("_id username")
+    .lean();
+  if (!target) {
+    res.status(404).json({ message: "User not found" });
+    return null;
+  }
+
+  if (target._id.toString() === req.userId.toString()) {
+    res.status(400).json({ message: "You cannot block or mute yourself" });
+    return null;
+  }
+
+  return target;
+};
+
+/**
+ * Block a user
+ *
+ * Hides their posts and stops them replying to the current user.
+ * Any follows between the two users are removed.
+ *
+ * @param {Object} req - Express request object with username in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message
+ */
+exports.blockUser = async (req, res) => {
+  try {
+    const target = await findTarget(req, res);
+    if (!target) return;
+
+    await Block.updateOne(
+      { blocker: req.userId, blocked: target._id },
+      { $set: { type: "block" } },
+      { upsert: true }
+    );
+
+    await Follow.deleteMany({
+      $or: [
+        { follower: req.userId, following: target._id },
+        { follower: target._id, following: req.userId },
+      ],
+    });
+
+    res.status(200).json({
+      message: `You have blocked ${target.username}`,
+      type: "block",
+    });
+  } catch (error) {
+    console.error("Error blocking user:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Mute a user
+ *
+ * Hides their posts from the current user. Muting a blocked
+ * user leaves the block in place.
+ *
+ * @param {Object} req - Express request object with username in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message and the resulting relationship type
+ */
+exports.muteUser = async (req, res) => {
+  try {
+    const target = await findTarget(req, res);
+    if (!target) return;
+
+    await Block.updateOne(
+      { blocker: req.userId, blocked: target._id },
+      { $setOnInsert: { type: "mute" } },
+      { upsert: true }
+    );
+    const relation = await Block.findOne({
+      blocker: req.userId,
+      blocked: target._id,
+    }).lean();
+
+    res.status(200).json({
+      message: `You have muted ${target.username}`,
+      type: relation.type,
+    });
+  } catch (error) {
+    console.error("Error muting user:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Shared implementation for unblock and unmute
+const removeRelation = async (req, res, type) => {
+  try {
+    const target = await findTarget(req, res);
+    if (!target) return;
+
+    await Block.deleteOne({ blocker: req.userId, blocked: target._id, type });
+
+    res.status(200).json({
+      message: `You have ${type === "block" ? "unblocked" : "unmuted"} ${
+        target.username
+      }`,
+    });
+  } catch (error) {
+    console.error(`Error removing ${type}:`, error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Unblock a user
+ *
+ * @param {Object} req - Express request object with username in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message
+ */
+exports.unblockUser = (req, res) => removeRelation(req, res, "block");
+
+/**
+ * Unmute a user
+ *
+ * @param {Object} req - Express request object with username in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message
+ */
+exports.unmuteUser = (req, res) => removeRelation(req, res, "mute");
+
+/**
+ * List the current user's blocks and mutes
+ *
+ * @param {Object} req - Express request object with optional type (block or mute) and page/limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} - Paginated blocked and muted users
+ */
+exports.getMyBlocks = async (req, res) => {
+  try {
+    const { type } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+
+    const query = { blocker: req.userId };
+    if (type === "block" || type === "mute") {
+      query.type = type;
+    }
+
+    const [blocks, totalCount] = await Promise.all([
+      Block.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("blocked", "username avatarSmallUrl")
+        .lean(),
+      Block.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      blocks: blocks
+        .filter((block) => block.blocked)
+        .map((block) => ({
+          user: block.blocked,
+          type: block.type,
+          createdAt: block.createdAt,
+        })),
+      pagination: buildPagination(page, limit, skip, blocks.length, totalCount),
+    });
+  } catch (error) {
+    console.error("Error fetching blocks:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
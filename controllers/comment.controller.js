@@ -7,7 +7,16 @@
 
 const Comment = require("../models/comment.model");
 const Stock = require("../models/stock.model");
+const Block = require("../models/block.model");
+const UserSettings = require("../models/userSettings.model");
 const mongoose = require("mongoose");
+const { userHasPermission } = require("../middleware/permission.middleware");
+const { recordReputation, reverseReputation } = require("../utils/reputation");
+const { checkBadges } = require("../utils/badges");
+const {
+  getPostingStatus,
+  visibleContentQuery,
+} = require("../utils/moderation");
 
 // Helper function to check if a user has already liked/disliked a comment
 const hasUserVoted = async (commentId, userId, type) => {
@@ -52,10 +61,17 @@ exports.getStockComments = async (req, res) => {
       return res.status(404).json({ message: "Stock not found" });
     }
 
-    // Get all comments for this stock (both top-level and replies)
-    const allComments = await Comment.find({ stock: stock._id })
+    // Get all comments for this stock (both top-level and replies),
+    // leaving out authors the viewer has blocked or muted and other
+    // users' shadowbanned comments
+    const hiddenAuthorIds = await Block.getHiddenAuthorIds(req.userId);
+    const allComments = await Comment.find({
+      stock: stock._id,
+      author: { $nin: hiddenAuthorIds },
+      ...visibleContentQuery(req.userId),
+    })
       .sort({ createdAt: -1 })
-      .populate("author", "username")
+      .populate("author", "username avatarSmallUrl")
       .lean();
 
     // Organize comments into a hierarchy
@@ -111,8 +127,35 @@ exports.createComment = async (req, res) => {
     const { content, stockId, parentCommentId, isAnonymous } = req.body;
     const userId = req.userId;
 
-    // Determine if this should be an anonymous comment
-    const shouldBeAnonymous = isAnonymous || !userId;
+    // Determine if this should be an anonymous comment (signed-in users who
+    // don't say get their default from settings)
+    const postAnonymously =
+      isAnonymous ??
+      (userId &&
+        (await UserSettings.getForUser(userId)).posting.defaultAnonymous);
+    const shouldBeAnonymous = postAnonymously || !userId;
+
+    // Suspended and banned users can't post, even anonymously
+    const { restriction, shadowbanned } = await getPostingStatus(userId);
+    if (restriction) {
+      return res.status(403).json({ success: false, ...restriction });
+    }
+
+    // Users can't reply to someone who has blocked them
+    if (parentCommentId && userId) {
+      const parentComment = await Comment.findById(parentCommentId)
+        .select("author")
+        .lean();
+      if (
+        parentComment &&
+        (await Block.isBlocking(parentComment.author, userId))
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: "You cannot reply to this comment",
+        });
+      }
+    }
 
     // Create the comment
     const comment = new Comment({
@@ -122,12 +165,15 @@ exports.createComment = async (req, res) => {
       parentComment: parentCommentId,
       isAnonymous: shouldBeAnonymous,
       isReply: !!parentCommentId,
+      shadowbanned,
+      shadowbannedAuthor: shadowbanned ? userId : undefined,
     });
 
     await comment.save();
 
-    // Update the stock's lastComment field
-    const stock = await Stock.findById(stockId);
+    // Update the stock's lastComment field (shadowbanned comments stay out
+    // of the stock summary so nobody else can see them)
+    const stock = shadowbanned ? null : await Stock.findById(stockId);
     if (stock) {
       stock.lastComment = {
         content:
@@ -145,7 +191,8 @@ exports.createComment = async (req, res) => {
 
     // Populate author information for the response (only if not anonymous)
     if (!shouldBeAnonymous) {
-      await comment.populate("author", "username");
+      await checkBadges(userId, "comment_created");
+      await comment.populate("author", "username avatarSmallUrl");
     }
 
     res.status(201).json({
@@ -205,7 +252,7 @@ exports.updateComment = async (req, res) => {
     comment.content = content.trim();
     await comment.save();
 
-    await comment.populate("author", "username");
+    await comment.populate("author", "username avatarSmallUrl");
 
     res.status(200).json({
       message: "Comment updated successfully",
@@ -221,7 +268,7 @@ exports.updateComment = async (req, res) => {
  * Delete a comment
  *
  * Deletes a comment and all its replies if it's a parent comment.
- * Only allows the author to delete their own comments.
+ * Only allows the author or a moderator to delete a comment.
  *
  * @param {Object} req - Express request object with comment ID
  * @param {Object} res - Express response object
@@ -232,7 +279,7 @@ exports.deleteComment = async (req, res) => {
     const { id } = req.params;
     const userId = req.userId;
 
-    const comment = await Comment.findById(id);
+    const comment = await Comment.findById(id).select("+shadowbanned");
     if (!comment) {
       return res.status(404).json({
         success: false,
@@ -241,12 +288,12 @@ exports.deleteComment = async (req, res) => {
     }
 
     // Check if user is authorized to delete
-    // Anonymous comments cannot be deleted, and only the author can delete their own comments
-    if (
-      comment.isAnonymous ||
-      !comment.author ||
-      comment.author.toString() !== userId
-    ) {
+    // Authors can delete their own comments; moderators can delete any comment
+    const isAuthor =
+      !comment.isAnonymous &&
+      comment.author &&
+      comment.author.toString() === userId;
+    if (!isAuthor && !(await userHasPermission(userId, "comments:moderate"))) {
       return res.status(403).json({
         success: false,
         error: "Not authorized to delete this comment",
@@ -256,14 +303,18 @@ exports.deleteComment = async (req, res) => {
     const stockId = comment.stock;
     await comment.deleteOne();
 
-    // Update the stock's lastComment field
-    const stock = await Stock.findById(stockId);
+    // Update the stock's lastComment field (shadowbanned comments were never
+    // counted in the stock summary)
+    const stock = comment.shadowbanned ? null : await Stock.findById(stockId);
     if (stock) {
       // If the deleted comment was the lastComment, find the next most recent comment
       if (stock.lastComment && stock.lastComment.commentId.toString() === id) {
-        const nextComment = await Comment.findOne({ stock: stockId })
+        const nextComment = await Comment.findOne({
+          stock: stockId,
+          shadowbanned: { $ne: true },
+        })
           .sort({ createdAt: -1 })
-          .populate("author", "username");
+          .populate("author", "username avatarSmallUrl");
 
         if (nextComment) {
           stock.lastComment = {
@@ -382,6 +433,21 @@ exports.likeComment = async (req, res) => {
 
     await comment.save();
 
+    // Credit the author (and undo the opposite vote if it was switched)
+    const reputationEvent = {
+      author: comment.author,
+      actor: isAuthenticated ? userIdentifier : null,
+      sourceId: comment._id,
+    };
+    if (previouslyDisliked) {
+      await reverseReputation({
+        ...reputationEvent,
+        action: "comment_dislike",
+      });
+    }
+    await recordReputation({ ...reputationEvent, action: "comment_like" });
+    await checkBadges(comment.author, "comment_liked");
+
     res.status(200).json({
       message: "Comment liked successfully",
       likes: comment.likes,
@@ -476,6 +542,17 @@ exports.dislikeComment = async (req, res) => {
 
     await comment.save();
 
+    // Credit the author (and undo the opposite vote if it was switched)
+    const reputationEvent = {
+      author: comment.author,
+      actor: isAuthenticated ? userIdentifier : null,
+      sourceId: comment._id,
+    };
+    if (previouslyLiked) {
+      await reverseReputation({ ...reputationEvent, action: "comment_like" });
+    }
+    await recordReputation({ ...reputationEvent, action: "comment_dislike" });
+
     res.status(200).json({
       message: "Comment disliked successfully",
       likes: comment.likes,
@@ -1,12 +1,25 @@
 const Conversation = require("../models/conversation.model");
 const Comment = require("../models/comment.model");
+const Block = require("../models/block.model");
+const { recordReputation, reverseReputation } = require("../utils/reputation");
+const { checkBadges } = require("../utils/badges");
+const {
+  getPostingStatus,
+  visibleContentQuery,
+} = require("../utils/moderation");
 
 // Get all conversations with comment counts
 exports.getAllConversations = async (req, res) => {
   try {
-    const conversations = await Conversation.find()
+    // Leave out authors the viewer has blocked or muted, and other users'
+    // shadowbanned conversations
+    const hiddenAuthorIds = await Block.getHiddenAuthorIds(req.userId);
+    const conversations = await Conversation.find({
+      author: { $nin: hiddenAuthorIds },
+      ...visibleContentQuery(req.userId),
+    })
       .sort({ createdAt: -1 })
-      .populate("author", "username")
+      .populate("author", "username avatarSmallUrl")
       .lean();
 
     // Get comment counts for all conversations
@@ -15,6 +28,7 @@ exports.getAllConversations = async (req, res) => {
       {
         $match: {
           conversation: { $in: conversationIds },
+          ...visibleContentQuery(req.userId),
         },
       },
       {
@@ -48,8 +62,11 @@ exports.getAllConversations = async (req, res) => {
 // Get a single conversation
 exports.getConversation = async (req, res) => {
   try {
-    const conversation = await Conversation.findById(req.params.id)
-      .populate("author", "username")
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      ...visibleContentQuery(req.userId),
+    })
+      .populate("author", "username avatarSmallUrl")
       .lean();
 
     if (!conversation) {
@@ -59,6 +76,7 @@ exports.getConversation = async (req, res) => {
     // Get comment count
     const commentCount = await Comment.countDocuments({
       conversation: req.params.id,
+      ...visibleContentQuery(req.userId),
     });
 
     // Add comment count and isLiked status
@@ -82,17 +100,25 @@ exports.getConversation = async (req, res) => {
 exports.createConversation = async (req, res) => {
   try {
     const { title, content } = req.body;
+
+    const { restriction, shadowbanned } = await getPostingStatus(req.userId);
+    if (restriction) {
+      return res.status(403).json(restriction);
+    }
+
     const conversation = new Conversation({
       title,
       content,
       author: req.userId,
+      shadowbanned,
     });
 
     const savedConversation = await conversation.save();
+    await checkBadges(req.userId, "conversation_created");
     const populatedConversation = await Conversation.findById(
       savedConversation._id
     )
-      .populate("author", "username")
+      .populate("author", "username avatarSmallUrl")
       .lean();
 
     res.status(201).json({
@@ -108,8 +134,13 @@ exports.createConversation = async (req, res) => {
 // Get comments for a conversation
 exports.getConversationComments = async (req, res) => {
   try {
-    const comments = await Comment.find({ conversation: req.params.id })
-      .populate("author", "username")
+    const hiddenAuthorIds = await Block.getHiddenAuthorIds(req.userId);
+    const comments = await Comment.find({
+      conversation: req.params.id,
+      author: { $nin: hiddenAuthorIds },
+      ...visibleContentQuery(req.userId),
+    })
+      .populate("author", "username avatarSmallUrl")
       .sort({ createdAt: 1 })
       .lean();
 
@@ -123,16 +154,47 @@ exports.getConversationComments = async (req, res) => {
 exports.addComment = async (req, res) => {
   try {
     const { content, parentComment } = req.body;
+
+    const { restriction, shadowbanned } = await getPostingStatus(req.userId);
+    if (restriction) {
+      return res.status(403).json(restriction);
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      ...visibleContentQuery(req.userId),
+    })
+      .select("author")
+      .lean();
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    // Users can't reply to someone who has blocked them
+    const parent = parentComment
+      ? await Comment.findById(parentComment).select("author").lean()
+      : null;
+    if (
+      (await Block.isBlocking(conversation.author, req.userId)) ||
+      (parent && (await Block.isBlocking(parent.author, req.userId)))
+    ) {
+      return res
+        .status(403)
+        .json({ message: "You cannot reply to this conversation" });
+    }
+
     const comment = new Comment({
       content,
       author: req.userId,
       conversation: req.params.id,
       parentComment,
+      shadowbanned,
     });
 
     const savedComment = await comment.save();
+    await checkBadges(req.userId, "comment_created");
     const populatedComment = await Comment.findById(savedComment._id)
-      .populate("author", "username")
+      .populate("author", "username avatarSmallUrl")
       .lean();
 
     res.status(201).json(populatedComment);
@@ -160,6 +222,14 @@ exports.likeConversation = async (req, res) => {
     conversation.likes += 1;
     await conversation.save();
 
+    await recordReputation({
+      author: conversation.author,
+      actor: req.userId,
+      action: "conversation_like",
+      sourceId: conversation._id,
+    });
+    await checkBadges(conversation.author, "conversation_liked");
+
     res.json({
       ...conversation.toObject(),
       isLiked: true,
@@ -190,6 +260,13 @@ exports.unlikeConversation = async (req, res) => {
     conversation.likes -= 1;
     await conversation.save();
 
+    await reverseReputation({
+      author: conversation.author,
+      actor: req.userId,
+      action: "conversation_like",
+      sourceId: conversation._id,
+    });
+
     res.json({
       ...conversation.toObject(),
       isLiked: false,
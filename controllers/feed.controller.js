@@ -0,0 +1,157 @@
+/**
+ * Feed Controller
+ *
+ * Builds the home feed from activity by users the current user follows:
+ * new conversations, non-anonymous stock comments and portfolio posts.
+ */
+
+const mongoose = require("mongoose");
+const Follow = require("../models/follow.model");
+const Block = require("../models/block.model");
+const Comment = require("../models/comment.model");
+const Conversation = require("../models/conversation.model");
+const PortfolioPost = require("../models/portfolioPost.model");
+
+const DEFAULT_FEED_LIMIT = 20;
+const MAX_FEED_LIMIT = 50;
+
+// Cursors are an opaque "<timestamp>_<id>" of the last item returned
+const encodeCursor = (item) =>
+  Buffer.from(`${item.createdAt.getTime()}_${item._id}`).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(cursor, "base64url").toString().split("_");
+  const createdAt = new Date(parseInt(time));
+
+  if (isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  return { createdAt, id: new mongoose.Types.ObjectId(id) };
+};
+
+// Matches items strictly older than the cursor (ties broken by _id)
+const beforeCursorQuery = (cursor) =>
+  cursor
+    ? {
+        $or: [
+          { createdAt: { $lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, _id: { $lt: cursor.id } },
+        ],
+      }
+    : {};
+
+// Newest first, with _id as the tiebreaker to keep cursors stable
+const compareFeedItems = (a, b) => {
+  if (a.createdAt.getTime() !== b.createdAt.getTime()) {
+    return b.createdAt - a.createdAt;
+  }
+  return a._id.toString() < b._id.toString() ? 1 : -1;
+};
+
+/**
+ * Get the current user's feed
+ *
+ * @param {Object} req - Express request object with optional cursor and limit query parameters
+ * @param {Object} res - Express response object
+ * @returns {Object} - Feed items and the cursor for the next page
+ */
+exports.getFeed = async (req, res) => {
+  try {
+    const limit = Math.min(
+      MAX_FEED_LIMIT,
+      Math.max(1, parseInt(req.query.limit) || DEFAULT_FEED_LIMIT)
+    );
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ message: "Invalid cursor" });
+      }
+    }
+
+    const [follows, blockedUserIds, hiddenAuthorIds] = await Promise.all([
+      Follow.find({ follower: req.userId }).select("following").lean(),
+      Block.getBlockedUserIds(req.userId),
+      Block.getHiddenAuthorIds(req.userId),
+    ]);
+
+    // Skip anyone blocked in either direction or muted by the viewer
+    const excluded = new Set([
+      ...blockedUserIds,
+      ...hiddenAuthorIds.map((id) => id.toString()),
+    ]);
+    const authorIds = follows
+      .map((follow) => follow.following)
+      .filter((id) => !excluded.has(id.toString()));
+
+    if (authorIds.length === 0) {
+      return res.status(200).json({ items: [], nextCursor: null });
+    }
+
+    const timeQuery = beforeCursorQuery(cursor);
+    const sort = { createdAt: -1, _id: -1 };
+
+    // Fetch one extra item per source so we know whether another page exists
+    // (shadowbanned content is left out: the viewer is never its author)
+    const [conversations, comments, portfolios] = await Promise.all([
+      Conversation.find({
+        author: { $in: authorIds },
+        shadowbanned: { $ne: true },
+        ...timeQuery,
+      })
+        .sort(sort)
+        .limit(limit + 1)
+        .select("-likedBy")
+        .populate("author", "username avatarSmallUrl")
+        .lean(),
+      Comment.find({
+        author: { $in: authorIds },
+        isAnonymous: false,
+        shadowbanned: { $ne: true },
+        stock: { $ne: null },
+        ...timeQuery,
+      })
+        .sort(sort)
+        .limit(limit + 1)
+        .select("-likedBy -dislikedBy -likedByAnonymous -dislikedByAnonymous")
+        .populate("author", "username avatarSmallUrl")
+        .populate("stock", "symbol name")
+        .lean(),
+      PortfolioPost.find({
+        author: { $in: authorIds },
+        isApproved: true,
+        shadowbanned: { $ne: true },
+        ...timeQuery,
+      })
+        .sort(sort)
+        .limit(limit + 1)
+        .populate("author", "username avatarSmallUrl")
+        .lean(),
+    ]);
+
+    const merged = [
+      ...conversations.map((item) => ({ type: "conversation", item })),
+      ...comments.map((item) => ({ type: "comment", item })),
+      ...portfolios.map((item) => ({ type: "portfolio", item })),
+    ]
+      .sort((a, b) => compareFeedItems(a.item, b.item))
+      .slice(0, limit + 1);
+
+    const hasMore = merged.length > limit;
+    const page = merged.slice(0, limit);
+
+    res.status(200).json({
+      items: page.map(({ type, item }) => ({
+        type,
+        createdAt: item.createdAt,
+        data: item,
+      })),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1].item) : null,
+    });
+  } catch (error) {
+    console.error("Error fetching feed:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -0,0 +1,161 @@
+/**
+ * Follow Controller
+ *
+ * Handles following and unfollowing users and listing
+ * a user's followers and the accounts they follow.
+ */
+
+const User = require("../models/user.model");
+const Follow = require("../models/follow.model");
+const UserSettings = require("../models/userSettings.model");
+const Block = require("../models/block.model");
+const { getPagination, buildPagination } = require("../utils/pagination");
+
+// Fields shown for each user in follower/following lists
+const FOLLOW_LIST_USER_FIELDS = "username avatarSmallUrl bio";
+
+/**
+ * Follow a user
+ *
+ * @param {Object} req - Express request object with username in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message
+ */
+exports.followUser = async (req, res) => {
+  try {
+    const target = await User.findOne({ username: req.params.username })
+      .select("_id username")
+      .lean();
+    if (!target) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (target._id.toString() === req.userId.toString()) {
+      return res.status(400).json({ message: "You cannot follow yourself" });
+    }
+
+    const blockedUserIds = await Block.getBlockedUserIds(req.userId);
+    if (blockedUserIds.includes(target._id.toString())) {
+      return res.status(403).json({ message: "You cannot follow this user" });
+    }
+
+    // Upsert so following twice is a no-op
+    await Follow.updateOne(
+      { follower: req.userId, following: target._id },
+      { $setOnInsert: { follower: req.userId, following: target._id } },
+      { upsert: true }
+    );
+
+    res.status(200).json({
+      message: `You are now following ${target.username}`,
+      following: true,
+    });
+  } catch (error) {
+    console.error("Error following user:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Unfollow a user
+ *
+ * @param {Object} req - Express request object with username in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message
+ */
+exports.unfollowUser = async (req, res) => {
+  try {
+    const target = await User.findOne({ username: req.params.username })
+      .select("_id username")
+      .lean();
+    if (!target) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await Follow.deleteOne({ follower: req.userId, following: target._id });
+
+    res.status(200).json({
+      message: `You are no longer following ${target.username}`,
+      following: false,
+    });
+  } catch (error) {
+    console.error("Error unfollowing user:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Shared implementation for the followers and following lists
+const listFollows = async (req, res, { matchField, userField, key }) => {
+  try {
+    const user = await User.findOne({ username: req.params.username })
+      .select("_id")
+      .lean();
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!(await UserSettings.isProfileVisible(user._id, req.userId))) {
+      return res.status(403).json({ message: "This profile is private" });
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+    const query = { [matchField]: user._id };
+
+    const [follows, totalCount] = await Promise.all([
+      Follow.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate(userField, FOLLOW_LIST_USER_FIELDS)
+        .lean(),
+      Follow.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      [key]: follows
+        .filter((follow) => follow[userField])
+        .map((follow) => ({
+          ...follow[userField],
+          followedAt: follow.createdAt,
+        })),
+      pagination: buildPagination(
+        page,
+        limit,
+        skip,
+        follows.length,
+        totalCount
+      ),
+    });
+  } catch (error) {
+    console.error(`Error fetching ${key}:`, error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * List users following a user
+ *
+ * @param {Object} req - Express request object with username in params and optional page/limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} - Paginated followers
+ */
+exports.getFollowers = (req, res) =>
+  listFollows(req, res, {
+    matchField: "following",
+    userField: "follower",
+    key: "followers",
+  });
+
+/**
+ * List users a user is following
+ *
+ * @param {Object} req - Express request object with username in params and optional page/limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} - Paginated followed users
+ */
+exports.getFollowing = (req, res) =>
+  listFollows(req, res, {
+    matchField: "follower",
+    userField: "following",
+    key: "following",
+  });
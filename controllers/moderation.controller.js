@@ -0,0 +1,407 @@
+/**
+ * Moderation Controller
+ *
+ * Handles suspending, banning and shadowbanning users. Every action
+ * is recorded in the ModerationAction audit log.
+ */
+
+const User = require("../models/user.model");
+const ModerationAction = require("../models/moderationAction.model");
+const { roleHasPermission } = require("../config/permissions");
+const { revokeAllSessions } = require("../utils/authTokens");
+const { MAX_SUSPENSION_DAYS } = require("../utils/moderation");
+const { getPagination, buildPagination } = require("../utils/pagination");
+const mongoose = require("mongoose");
+
+const MAX_REASON_LENGTH = 1000;
+
+// Find the target user, rejecting unknown users, the current user, and
+// other moderators unless the current user can manage users
+const findTarget = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid user ID format" });
+    return null;
+  }
+
+  const target = await User.findById(id).select(
+    "username role isAdmin moderation"
+  );
+  if (!target) {
+    res.status(404).json({ message: "User not found" });
+    return null;
+  }
+
+  if (target._id.toString() === req.userId.toString()) {
+    res.status(400).json({ message: "You cannot moderate your own account" });
+    return null;
+  }
+
+  if (
+    roleHasPermission(target.role, "users:moderate") &&
+    !roleHasPermission(req.userRole, "users:manage")
+  ) {
+    res
+      .status(403)
+      .json({ message: "Only admins can moderate other moderators" });
+    return null;
+  }
+
+  return target;
+};
+
+// Read the required reason from the request body (sends a 400 if invalid)
+const readReason = (req, res) => {
+  const reason =
+    typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+
+  if (!reason) {
+    res.status(400).json({ message: "A reason is required" });
+    return null;
+  }
+
+  if (reason.length > MAX_REASON_LENGTH) {
+    res.status(400).json({
+      message: `Reason must be at most ${MAX_REASON_LENGTH} characters`,
+    });
+    return null;
+  }
+
+  return reason;
+};
+
+// Optional reason for lifting a restriction
+const readOptionalReason = (req) => {
+  const reason =
+    typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+  return reason ? reason.slice(0, MAX_REASON_LENGTH) : undefined;
+};
+
+// Apply a moderation change to a user and record it in the audit log
+const applyAction = async (req, target, action, changes, details = {}) => {
+  target.set(changes);
+  await target.save();
+
+  await ModerationAction.create({
+    user: target._id,
+    moderator: req.userId,
+    action,
+    ...details,
+  });
+};
+
+// Moderation state as returned to moderators
+const formatModeration = (user) => ({
+  id: user._id,
+  username: user.username,
+  isBanned: user.isBanned(),
+  isSuspended: user.isSuspended(),
+  isShadowbanned: user.isShadowbanned(),
+  moderation: user.moderation,
+});
+
+/**
+ * Temporarily suspend a user
+ *
+ * Suspended users can still sign in and read, but can't post or vote
+ * until the suspension ends.
+ *
+ * @param {Object} req - Express request object with user ID in params and reason and durationHours in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated moderation state
+ */
+exports.suspendUser = async (req, res) => {
+  try {
+    const target = await findTarget(req, res);
+    if (!target) return;
+
+    const reason = readReason(req, res);
+    if (!reason) return;
+
+    const durationHours = Number(req.body.durationHours);
+    const maxHours = MAX_SUSPENSION_DAYS * 24;
+    if (
+      !Number.isFinite(durationHours) ||
+      durationHours <= 0 ||
+      durationHours > maxHours
+    ) {
+      return res.status(400).json({
+        message: `durationHours must be between 0 and ${maxHours}`,
+      });
+    }
+
+    if (target.isBanned()) {
+      return res.status(400).json({ message: "User is already banned" });
+    }
+
+    const suspendedUntil = new Date(Date.now() + durationHours * 3600 * 1000);
+    await applyAction(
+      req,
+      target,
+      "suspend",
+      {
+        "moderation.suspendedUntil": suspendedUntil,
+        "moderation.suspendedAt": new Date(),
+        "moderation.suspendedBy": req.userId,
+        "moderation.suspensionReason": reason,
+      },
+      { reason, expiresAt: suspendedUntil }
+    );
+
+    res.status(200).json({
+      message: `${target.username} has been suspended`,
+      suspendedUntil,
+      user: formatModeration(target),
+    });
+  } catch (error) {
+    console.error("Error suspending user:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Lift a user's suspension early
+ *
+ * @param {Object} req - Express request object with user ID in params and optional reason in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated moderation state
+ */
+exports.unsuspendUser = async (req, res) => {
+  try {
+    const target = await findTarget(req, res);
+    if (!target) return;
+
+    if (!target.isSuspended()) {
+      return res.status(400).json({ message: "User is not suspended" });
+    }
+
+    await applyAction(
+      req,
+      target,
+      "unsuspend",
+      { "moderation.suspendedUntil": new Date() },
+      { reason: readOptionalReason(req) }
+    );
+
+    res.status(200).json({
+      message: `${target.username}'s suspension has been lifted`,
+      user: formatModeration(target),
+    });
+  } catch (error) {
+    console.error("Error lifting suspension:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Permanently ban a user
+ *
+ * Banned users are signed out everywhere and can't sign in again
+ * until the ban is lifted.
+ *
+ * @param {Object} req - Express request object with user ID in params and reason in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated moderation state
+ */
+exports.banUser = async (req, res) => {
+  try {
+    const target = await findTarget(req, res);
+    if (!target) return;
+
+    const reason = readReason(req, res);
+    if (!reason) return;
+
+    if (target.isBanned()) {
+      return res.status(400).json({ message: "User is already banned" });
+    }
+
+    await applyAction(
+      req,
+      target,
+      "ban",
+      {
+        "moderation.bannedAt": new Date(),
+        "moderation.bannedBy": req.userId,
+        "moderation.banReason": reason,
+      },
+      { reason }
+    );
+    await revokeAllSessions(target._id, "banned");
+
+    res.status(200).json({
+      message: `${target.username} has been banned`,
+      user: formatModeration(target),
+    });
+  } catch (error) {
+    console.error("Error banning user:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Lift a user's ban
+ *
+ * @param {Object} req - Express request object with user ID in params and optional reason in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated moderation state
+ */
+exports.unbanUser = async (req, res) => {
+  try {
+    const target = await findTarget(req, res);
+    if (!target) return;
+
+    if (!target.isBanned()) {
+      return res.status(400).json({ message: "User is not banned" });
+    }
+
+    await applyAction(
+      req,
+      target,
+      "unban",
+      {
+        "moderation.bannedAt": undefined,
+        "moderation.bannedBy": undefined,
+        "moderation.banReason": undefined,
+      },
+      { reason: readOptionalReason(req) }
+    );
+
+    res.status(200).json({
+      message: `${target.username} has been unbanned`,
+      user: formatModeration(target),
+    });
+  } catch (error) {
+    console.error("Error unbanning user:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Shadowban a user
+ *
+ * The user isn't told and can keep posting, but anything they post
+ * from now on is only visible to them.
+ *
+ * @param {Object} req - Express request object with user ID in params and reason in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated moderation state
+ */
+exports.shadowbanUser = async (req, res) => {
+  try {
+    const target = await findTarget(req, res);
+    if (!target) return;
+
+    const reason = readReason(req, res);
+    if (!reason) return;
+
+    if (target.isShadowbanned()) {
+      return res.status(400).json({ message: "User is already shadowbanned" });
+    }
+
+    await applyAction(
+      req,
+      target,
+      "shadowban",
+      {
+        "moderation.shadowbannedAt": new Date(),
+        "moderation.shadowbannedBy": req.userId,
+        "moderation.shadowbanReason": reason,
+      },
+      { reason }
+    );
+
+    res.status(200).json({
+      message: `${target.username} has been shadowbanned`,
+      user: formatModeration(target),
+    });
+  } catch (error) {
+    console.error("Error shadowbanning user:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Lift a user's shadowban
+ *
+ * New content becomes visible again; content posted during the
+ * shadowban stays hidden.
+ *
+ * @param {Object} req - Express request object with user ID in params and optional reason in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated moderation state
+ */
+exports.unshadowbanUser = async (req, res) => {
+  try {
+    const target = await findTarget(req, res);
+    if (!target) return;
+
+    if (!target.isShadowbanned()) {
+      return res.status(400).json({ message: "User is not shadowbanned" });
+    }
+
+    await applyAction(
+      req,
+      target,
+      "unshadowban",
+      {
+        "moderation.shadowbannedAt": undefined,
+        "moderation.shadowbannedBy": undefined,
+        "moderation.shadowbanReason": undefined,
+      },
+      { reason: readOptionalReason(req) }
+    );
+
+    res.status(200).json({
+      message: `${target.username}'s shadowban has been lifted`,
+      user: formatModeration(target),
+    });
+  } catch (error) {
+    console.error("Error lifting shadowban:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get a user's moderation state and history
+ *
+ * @param {Object} req - Express request object with user ID in params and optional page/limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} - Current moderation state and paginated audit log
+ */
+exports.getModerationHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const user = await User.findById(id).select("username moderation");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+    const query = { user: user._id };
+
+    const [items, totalCount] = await Promise.all([
+      ModerationAction.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("moderator", "username")
+        .lean(),
+      ModerationAction.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      user: formatModeration(user),
+      items,
+      pagination: buildPagination(page, limit, skip, items.length, totalCount),
+    });
+  } catch (error) {
+    console.error("Error fetching moderation history:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
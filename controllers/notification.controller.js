@@ -0,0 +1,114 @@
+/**
+ * Notification Controller
+ *
+ * Handles listing the current user's notifications and marking
+ * them as read.
+ */
+
+const mongoose = require("mongoose");
+const Notification = require("../models/notification.model");
+const { getPagination, buildPagination } = require("../utils/pagination");
+
+/**
+ * List the current user's notifications
+ *
+ * @param {Object} req - Express request object with optional unread=true filter in query
+ * @param {Object} res - Express response object
+ * @returns {Object} - Notifications, newest first, with unread count and pagination
+ */
+exports.getMyNotifications = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query);
+    const query = { user: req.userId };
+    if (req.query.unread === "true") {
+      query.readAt = null;
+    }
+
+    const [notifications, totalCount, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("stock", "symbol name image")
+        .lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: req.userId, readAt: null }),
+    ]);
+
+    res.status(200).json({
+      notifications,
+      unreadCount,
+      pagination: buildPagination(
+        page,
+        limit,
+        skip,
+        notifications.length,
+        totalCount
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Mark a notification as read
+ *
+ * @param {Object} req - Express request object with notification ID in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated notification
+ */
+exports.markNotificationRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res
+        .status(400)
+        .json({ message: "Invalid notification ID format" });
+    }
+
+    const notification = await Notification.findOne({
+      _id: id,
+      user: req.userId,
+    });
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({ notification });
+  } catch (error) {
+    console.error("Error marking notification as read:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Mark all of the current user's notifications as read
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - Number of notifications marked
+ */
+exports.markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      message: "Notifications marked as read",
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Error marking notifications as read:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
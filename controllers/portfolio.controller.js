@@ -8,6 +8,8 @@
 const PortfolioPost = require("../models/portfolioPost.model");
 const PortfolioVote = require("../models/portfolioVote.model");
 const PortfolioComment = require("../models/portfolioComment.model");
+const Block = require("../models/block.model");
+const UserSettings = require("../models/userSettings.model");
 const {
   uploadToS3,
   deleteFromS3,
@@ -15,6 +17,13 @@ const {
 } = require("../utils/s3Upload");
 const { processPortfolioImage } = require("../utils/imageProcessor");
 const mongoose = require("mongoose");
+const { userHasPermission } = require("../middleware/permission.middleware");
+const { recordReputation, reverseReputation } = require("../utils/reputation");
+const { checkBadges } = require("../utils/badges");
+const {
+  getPostingStatus,
+  visibleContentQuery,
+} = require("../utils/moderation");
 
 /**
  * Get all portfolios
@@ -28,7 +37,8 @@ exports.getAllPortfolios = async (req, res) => {
     const { category, sort = "hot", page = 1, limit = 20 } = req.query;
     console.log("Portfolio query received:", { category, sort, page, limit });
 
-    let query = { isApproved: true }; // Only show approved portfolios
+    // Only show approved portfolios, and only the author sees shadowbanned ones
+    let query = { isApproved: true, ...visibleContentQuery(req.userId) };
 
     // Filter by category if provided
     if (category && category !== "all") {
@@ -105,7 +115,10 @@ exports.getPortfolioById = async (req, res) => {
       return res.status(400).json({ message: "Invalid portfolio ID format" });
     }
 
-    const portfolio = await PortfolioPost.findById(id)
+    const portfolio = await PortfolioPost.findOne({
+      _id: id,
+      ...visibleContentQuery(req.userId),
+    })
       .populate("author", "username")
       .lean();
 
@@ -150,6 +163,11 @@ exports.createPortfolio = async (req, res) => {
       });
     }
 
+    const { restriction, shadowbanned } = await getPostingStatus(userId);
+    if (restriction) {
+      return res.status(403).json({ success: false, ...restriction });
+    }
+
     // Process the uploaded image
     const processedImages = await processPortfolioImage(req.file.buffer, {
       generateThumb: true,
@@ -178,9 +196,11 @@ exports.createPortfolio = async (req, res) => {
       author: userId,
       imageUrl: mainImageUpload.url,
       thumbnailUrl: thumbnailUpload.url,
+      shadowbanned,
     });
 
     await portfolio.save();
+    await checkBadges(userId, "portfolio_created");
     await portfolio.populate("author", "username");
 
     res.status(201).json({
@@ -236,8 +256,11 @@ exports.deletePortfolio = async (req, res) => {
       });
     }
 
-    // Check if user is authorized to delete (only the author can delete)
-    if (portfolio.author.toString() !== userId) {
+    // Check if user is authorized to delete (the author or a moderator)
+    if (
+      portfolio.author.toString() !== userId &&
+      !(await userHasPermission(userId, "portfolios:moderate"))
+    ) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to delete this portfolio",
@@ -396,6 +419,24 @@ exports.votePortfolio = async (req, res) => {
 
     await portfolio.save();
 
+    // Credit the author (and undo the previous vote if it was switched)
+    const reputationEvent = {
+      author: portfolio.author,
+      actor: userId,
+      sourceId: portfolio._id,
+    };
+    if (existingVote) {
+      await reverseReputation({
+        ...reputationEvent,
+        action: `portfolio_${existingVote.voteType}`,
+      });
+    }
+    await recordReputation({
+      ...reputationEvent,
+      action: `portfolio_${voteType}`,
+    });
+    await checkBadges(portfolio.author, "portfolio_voted");
+
     res.status(200).json({
       success: true,
       message: `Portfolio ${voteType}d successfully`,
@@ -488,6 +529,13 @@ exports.removeVote = async (req, res) => {
 
     await portfolio.save();
 
+    await reverseReputation({
+      author: portfolio.author,
+      actor: userId,
+      action: `portfolio_${removedVoteType}`,
+      sourceId: portfolio._id,
+    });
+
     res.status(200).json({
       success: true,
       message: "Vote removed successfully",
@@ -533,12 +581,17 @@ exports.getPortfolioComments = async (req, res) => {
       return res.status(404).json({ message: "Portfolio not found" });
     }
 
-    // Get all comments for this portfolio (both top-level and replies)
+    // Get all comments for this portfolio (both top-level and replies),
+    // leaving out authors the viewer has blocked or muted and other
+    // users' shadowbanned comments
+    const hiddenAuthorIds = await Block.getHiddenAuthorIds(req.userId);
     const allComments = await PortfolioComment.find({
       portfolio: portfolio._id,
+      author: { $nin: hiddenAuthorIds },
+      ...visibleContentQuery(req.userId),
     })
       .sort({ createdAt: -1 })
-      .populate("author", "username")
+      .populate("author", "username avatarSmallUrl")
       .lean();
 
     // Organize comments into a hierarchy
@@ -618,8 +671,17 @@ exports.createPortfolioComment = async (req, res) => {
       });
     }
 
-    // Check if portfolio exists
-    const portfolio = await PortfolioPost.findById(portfolioId);
+    // Suspended and banned users can't post, even anonymously
+    const { restriction, shadowbanned } = await getPostingStatus(userId);
+    if (restriction) {
+      return res.status(403).json({ success: false, ...restriction });
+    }
+
+    // Check if portfolio exists (and is visible to the commenter)
+    const portfolio = await PortfolioPost.findOne({
+      _id: portfolioId,
+      ...visibleContentQuery(userId),
+    });
     if (!portfolio) {
       return res.status(404).json({
         success: false,
@@ -644,10 +706,23 @@ exports.createPortfolioComment = async (req, res) => {
           message: "Parent comment not found",
         });
       }
+
+      // Users can't reply to someone who has blocked them
+      if (userId && (await Block.isBlocking(parentComment.author, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: "You cannot reply to this comment",
+        });
+      }
     }
 
-    // Determine if this should be an anonymous comment
-    const shouldBeAnonymous = isAnonymous || !userId;
+    // Determine if this should be an anonymous comment (signed-in users who
+    // don't say get their default from settings)
+    const postAnonymously =
+      isAnonymous ??
+      (userId &&
+        (await UserSettings.getForUser(userId)).posting.defaultAnonymous);
+    const shouldBeAnonymous = postAnonymously || !userId;
 
     // Create the comment
     const comment = new PortfolioComment({
@@ -657,12 +732,15 @@ exports.createPortfolioComment = async (req, res) => {
       parentComment: parentCommentId ? parentCommentId : undefined,
       isAnonymous: shouldBeAnonymous,
       isReply: !!parentCommentId,
+      shadowbanned,
+      shadowbannedAuthor: shadowbanned ? userId : undefined,
     });
 
     await comment.save();
 
     // Update the portfolio's lastComment field and comment count
-    if (portfolio) {
+    // (shadowbanned comments are left out so nobody else can see them)
+    if (!shadowbanned) {
       portfolio.lastComment = {
         content:
           content.length > 200 ? content.substring(0, 197) + "..." : content,
@@ -679,7 +757,7 @@ exports.createPortfolioComment = async (req, res) => {
 
     // Populate author information for the response (only if not anonymous)
     if (!shouldBeAnonymous) {
-      await comment.populate("author", "username");
+      await comment.populate("author", "username avatarSmallUrl");
     }
 
     res.status(201).json({
@@ -0,0 +1,264 @@
+/**
+ * Price Alert Controller
+ *
+ * Handles the current user's price alerts. Alerts are checked after
+ * each stock update and notify their owner when they trigger.
+ */
+
+const mongoose = require("mongoose");
+const PriceAlert = require("../models/priceAlert.model");
+const Stock = require("../models/stock.model");
+const {
+  PRICE_ALERT_CONDITIONS,
+  PRICE_ALERT_LIMITS,
+} = require("../config/priceAlerts");
+const { getPagination, buildPagination } = require("../utils/pagination");
+
+// Find one of the current user's alerts (sends a 400/404 if there isn't one)
+const findOwnAlert = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid alert ID format" });
+    return null;
+  }
+
+  const alert = await PriceAlert.findOne({ _id: id, user: req.userId });
+  if (!alert) {
+    res.status(404).json({ message: "Alert not found" });
+    return null;
+  }
+
+  return alert;
+};
+
+// Validate the alert fields present in the body; returns { updates } or { error }
+const readAlertFields = (body) => {
+  const updates = {};
+  const { condition, threshold, recurring, note } = body;
+
+  if (condition !== undefined) {
+    if (!PRICE_ALERT_CONDITIONS.includes(condition)) {
+      return {
+        error: `Condition must be one of: ${PRICE_ALERT_CONDITIONS.join(", ")}`,
+      };
+    }
+    updates.condition = condition;
+  }
+
+  if (threshold !== undefined) {
+    if (typeof threshold !== "number" || !(threshold > 0)) {
+      return { error: "Threshold must be a positive number" };
+    }
+    updates.threshold = threshold;
+  }
+
+  if (recurring !== undefined) {
+    if (typeof recurring !== "boolean") {
+      return { error: "Recurring must be true or false" };
+    }
+    updates.recurring = recurring;
+  }
+
+  if (note !== undefined) {
+    if (typeof note !== "string") {
+      return { error: "Note must be a string" };
+    }
+    if (note.trim().length > PRICE_ALERT_LIMITS.maxNoteLength) {
+      return {
+        error: `Note must be at most ${PRICE_ALERT_LIMITS.maxNoteLength} characters`,
+      };
+    }
+    updates.note = note.trim();
+  }
+
+  return { updates };
+};
+
+/**
+ * List the current user's price alerts
+ *
+ * @param {Object} req - Express request object with optional symbol and active filters in query
+ * @param {Object} res - Express response object
+ * @returns {Object} - Alerts, newest first, with pagination
+ */
+exports.getMyAlerts = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query);
+    const query = { user: req.userId };
+
+    if (req.query.symbol) {
+      query.symbol = String(req.query.symbol).toUpperCase();
+    }
+    if (req.query.active !== undefined) {
+      query.active = req.query.active === "true";
+    }
+
+    const [alerts, totalCount] = await Promise.all([
+      PriceAlert.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      PriceAlert.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      alerts,
+      pagination: buildPagination(page, limit, skip, alerts.length, totalCount),
+    });
+  } catch (error) {
+    console.error("Error fetching price alerts:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Create a price alert
+ *
+ * @param {Object} req - Express request object with symbol, condition, threshold and optional recurring and note in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Created alert
+ */
+exports.createAlert = async (req, res) => {
+  try {
+    const { symbol } = req.body;
+    if (!symbol || typeof symbol !== "string") {
+      return res.status(400).json({ message: "Symbol is required" });
+    }
+
+    const { updates, error } = readAlertFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (!updates.condition || updates.threshold === undefined) {
+      return res
+        .status(400)
+        .json({ message: "Condition and threshold are required" });
+    }
+
+    const count = await PriceAlert.countDocuments({ user: req.userId });
+    if (count >= PRICE_ALERT_LIMITS.maxAlertsPerUser) {
+      return res.status(400).json({
+        message: `You can have at most ${PRICE_ALERT_LIMITS.maxAlertsPerUser} price alerts`,
+      });
+    }
+
+    const stock = await Stock.findOne({ symbol: symbol.toUpperCase() })
+      .select("_id symbol")
+      .lean();
+    if (!stock) {
+      return res.status(404).json({ message: "Stock not found" });
+    }
+
+    const alert = await PriceAlert.create({
+      ...updates,
+      user: req.userId,
+      stock: stock._id,
+      symbol: stock.symbol,
+    });
+
+    res.status(201).json({
+      message: "Price alert created successfully",
+      alert,
+    });
+  } catch (error) {
+    console.error("Error creating price alert:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get one of the current user's price alerts
+ *
+ * @param {Object} req - Express request object with alert ID in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Alert
+ */
+exports.getAlert = async (req, res) => {
+  try {
+    const alert = await findOwnAlert(req, res);
+    if (!alert) return;
+
+    res.status(200).json(alert);
+  } catch (error) {
+    console.error("Error fetching price alert:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update a price alert
+ *
+ * Changing the condition or threshold, or reactivating the alert,
+ * re-arms it so it triggers the next time its condition holds.
+ *
+ * @param {Object} req - Express request object with alert ID in params and condition, threshold, recurring, note and/or active in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated alert
+ */
+exports.updateAlert = async (req, res) => {
+  try {
+    const alert = await findOwnAlert(req, res);
+    if (!alert) return;
+
+    const { updates, error } = readAlertFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { active } = req.body;
+    if (active !== undefined) {
+      if (typeof active !== "boolean") {
+        return res
+          .status(400)
+          .json({ message: "Active must be true or false" });
+      }
+      updates.active = active;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: "No changes to update" });
+    }
+
+    if (
+      updates.condition !== undefined ||
+      updates.threshold !== undefined ||
+      (updates.active && !alert.active)
+    ) {
+      updates.conditionMet = false;
+    }
+
+    alert.set(updates);
+    await alert.save();
+
+    res.status(200).json({
+      message: "Price alert updated successfully",
+      alert,
+    });
+  } catch (error) {
+    console.error("Error updating price alert:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Delete a price alert
+ *
+ * @param {Object} req - Express request object with alert ID in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message
+ */
+exports.deleteAlert = async (req, res) => {
+  try {
+    const alert = await findOwnAlert(req, res);
+    if (!alert) return;
+
+    await alert.deleteOne();
+
+    res.status(200).json({ message: "Price alert deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting price alert:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -0,0 +1,543 @@
+/**
+ * Profile Controller
+ *
+ * Handles public user profiles and their activity tabs
+ * (comments, conversations and portfolio posts).
+ */
+
+const User = require("../models/user.model");
+const Comment = require("../models/comment.model");
+const Conversation = require("../models/conversation.model");
+const PortfolioPost = require("../models/portfolioPost.model");
+const Follow = require("../models/follow.model");
+const UsernameHistory = require("../models/usernameHistory.model");
+const UserSettings = require("../models/userSettings.model");
+const {
+  uploadToS3,
+  deleteFromS3,
+  generateUniqueFileName,
+} = require("../utils/s3Upload");
+const {
+  processAvatarImage,
+  processBannerImage,
+} = require("../utils/imageProcessor");
+const { getPagination, buildPagination } = require("../utils/pagination");
+const { visibleContentQuery } = require("../utils/moderation");
+
+// Fields that are safe to show on a public profile
+const PUBLIC_PROFILE_FIELDS =
+  "username bio avatarUrl avatarSmallUrl bannerUrl reputation createdAt";
+
+// How many past usernames a profile lists
+const MAX_PREVIOUS_USERNAMES = 10;
+
+// Remove S3 objects that are no longer referenced (best effort)
+const deleteS3Keys = async (keys) => {
+  try {
+    await Promise.all(keys.filter(Boolean).map((key) => deleteFromS3(key)));
+  } catch (s3Error) {
+    console.error("Error cleaning up S3 files:", s3Error);
+  }
+};
+
+// Only content posted under the user's name is shown; anonymous comments never are
+const authoredCommentsQuery = (userId, viewerId) => ({
+  author: userId,
+  isAnonymous: false,
+  ...visibleContentQuery(viewerId),
+});
+
+// Activity counts shown on a profile
+const countActivity = async (userId, viewerId) => {
+  const [
+    stockComments,
+    conversationComments,
+    conversations,
+    portfolios,
+    followers,
+    following,
+  ] = await Promise.all([
+    Comment.countDocuments({
+      ...authoredCommentsQuery(userId, viewerId),
+      stock: { $ne: null },
+    }),
+    Comment.countDocuments({
+      ...authoredCommentsQuery(userId, viewerId),
+      conversation: { $ne: null },
+    }),
+    Conversation.countDocuments({
+      author: userId,
+      ...visibleContentQuery(viewerId),
+    }),
+    PortfolioPost.countDocuments({
+      author: userId,
+      isApproved: true,
+      ...visibleContentQuery(viewerId),
+    }),
+    Follow.countDocuments({ following: userId }),
+    Follow.countDocuments({ follower: userId }),
+  ]);
+
+  return {
+    stockComments,
+    conversationComments,
+    conversations,
+    portfolios,
+    followers,
+    following,
+  };
+};
+
+// Find a profile's owner for an activity tab, sending a 404 for unknown users
+// and a 403 for private profiles the viewer can't see
+const findVisibleProfileUser = async (req, res) => {
+  const user = await User.findOne({
+    username: req.params.username,
+    // Accounts scheduled for deletion are hidden
+    deletionRequestedAt: null,
+  })
+    .select("_id")
+    .lean();
+  if (!user) {
+    res.status(404).json({ message: "User not found" });
+    return null;
+  }
+
+  if (!(await UserSettings.isProfileVisible(user._id, req.userId))) {
+    res.status(403).json({ message: "This profile is private" });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Get a public user profile
+ *
+ * @param {Object} req - Express request object with username in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Profile details and activity counts
+ */
+exports.getProfile = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      username: req.params.username,
+      // Accounts scheduled for deletion are hidden
+      deletionRequestedAt: null,
+    })
+      .select(PUBLIC_PROFILE_FIELDS)
+      .lean();
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const [isVisible, previousUsernames] = await Promise.all([
+      UserSettings.isProfileVisible(user._id, req.userId),
+      // Shown even on private profiles so renamed accounts can't quietly
+      // impersonate others
+      UsernameHistory.find({ user: user._id })
+        .sort({ changedAt: -1 })
+        .limit(MAX_PREVIOUS_USERNAMES)
+        .select("oldUsername changedAt")
+        .lean(),
+    ]);
+
+    res.status(200).json({
+      id: user._id,
+      username: user.username,
+      bio: user.bio || "",
+      avatarUrl: user.avatarUrl || null,
+      avatarSmallUrl: user.avatarSmallUrl || null,
+      bannerUrl: user.bannerUrl || null,
+      reputation: user.reputation || 0,
+      joinedAt: user.createdAt,
+      isPrivate: !isVisible,
+      previousUsernames: previousUsernames.map((entry) => ({
+        username: entry.oldUsername,
+        changedAt: entry.changedAt,
+      })),
+      // Private profiles only show activity to their owner
+      counts: isVisible ? await countActivity(user._id, req.userId) : null,
+    });
+  } catch (error) {
+    console.error("Error fetching profile:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get a user's non-anonymous comments
+ *
+ * @param {Object} req - Express request object with username in params and optional page/limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} - Paginated comments with their stock or conversation
+ */
+exports.getProfileComments = async (req, res) => {
+  try {
+    const user = await findVisibleProfileUser(req, res);
+    if (!user) return;
+
+    const { page, limit, skip } = getPagination(req.query);
+    const query = authoredCommentsQuery(user._id, req.userId);
+
+    const [comments, totalCount] = await Promise.all([
+      Comment.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select("-likedBy -dislikedBy -likedByAnonymous -dislikedByAnonymous")
+        .populate("stock", "symbol name")
+        .populate("conversation", "title")
+        .lean(),
+      Comment.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      comments,
+      pagination: buildPagination(
+        page,
+        limit,
+        skip,
+        comments.length,
+        totalCount
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching profile comments:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get conversations started by a user
+ *
+ * @param {Object} req - Express request object with username in params and optional page/limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} - Paginated conversations with comment counts
+ */
+exports.getProfileConversations = async (req, res) => {
+  try {
+    const user = await findVisibleProfileUser(req, res);
+    if (!user) return;
+
+    const { page, limit, skip } = getPagination(req.query);
+    const query = { author: user._id, ...visibleContentQuery(req.userId) };
+
+    const [conversations, totalCount] = await Promise.all([
+      Conversation.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select("-likedBy")
+        .lean(),
+      Conversation.countDocuments(query),
+    ]);
+
+    // Get comment counts for these conversations in one query
+    const commentCounts = await Comment.aggregate([
+      {
+        $match: {
+          conversation: { $in: conversations.map((conv) => conv._id) },
+          ...visibleContentQuery(req.userId),
+        },
+      },
+      { $group: { _id: "$conversation", commentCount: { $sum: 1 } } },
+    ]);
+    const commentCountMap = new Map(
+      commentCounts.map((item) => [item._id.toString(), item.commentCount])
+    );
+
+    res.status(200).json({
+      conversations: conversations.map((conv) => ({
+        ...conv,
+        commentCount: commentCountMap.get(conv._id.toString()) || 0,
+      })),
+      pagination: buildPagination(
+        page,
+        limit,
+        skip,
+        conversations.length,
+        totalCount
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching profile conversations:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get approved portfolio posts by a user
+ *
+ * @param {Object} req - Express request object with username in params and optional page/limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} - Paginated portfolio posts
+ */
+exports.getProfilePortfolios = async (req, res) => {
+  try {
+    const user = await findVisibleProfileUser(req, res);
+    if (!user) return;
+
+    const { page, limit, skip } = getPagination(req.query);
+    const query = {
+      author: user._id,
+      isApproved: true,
+      ...visibleContentQuery(req.userId),
+    };
+
+    const [portfolios, totalCount] = await Promise.all([
+      PortfolioPost.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      PortfolioPost.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      portfolios: portfolios.map((portfolio) => ({
+        ...portfolio,
+        netVotes: portfolio.upvotes - portfolio.downvotes,
+      })),
+      pagination: buildPagination(
+        page,
+        limit,
+        skip,
+        portfolios.length,
+        totalCount
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching profile portfolios:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update the current user's profile
+ *
+ * @param {Object} req - Express request object with bio in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated profile fields
+ */
+exports.updateMyProfile = async (req, res) => {
+  try {
+    const { bio } = req.body;
+
+    if (typeof bio !== "string") {
+      return res.status(400).json({ message: "Bio must be a string" });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    user.bio = bio.trim();
+    await user.save();
+
+    res.status(200).json({
+      message: "Profile updated successfully",
+      profile: {
+        username: user.username,
+        bio: user.bio,
+      },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Upload a new avatar for the current user
+ *
+ * Crops the image to square sizes, stores them in S3 and removes
+ * the previous avatar objects.
+ *
+ * @param {Object} req - Express request object with the image file
+ * @param {Object} res - Express response object
+ * @returns {Object} - New avatar URLs
+ */
+exports.uploadAvatar = async (req, res) => {
+  let uploadedKeys = [];
+
+  try {
+    const user = await User.findById(req.userId).select("+avatarKeys");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const { medium, small } = await processAvatarImage(req.file.buffer);
+
+    const [mediumUpload, smallUpload] = await Promise.all([
+      uploadToS3(
+        medium,
+        generateUniqueFileName("avatar.jpg", "avatar"),
+        "image/jpeg"
+      ),
+      uploadToS3(
+        small,
+        generateUniqueFileName("avatar.jpg", "avatar"),
+        "image/jpeg"
+      ),
+    ]);
+    uploadedKeys = [mediumUpload.key, smallUpload.key];
+
+    const previousKeys = user.avatarKeys || [];
+
+    user.avatarUrl = mediumUpload.url;
+    user.avatarSmallUrl = smallUpload.url;
+    user.avatarKeys = uploadedKeys;
+    await user.save();
+
+    await deleteS3Keys(previousKeys);
+
+    res.status(200).json({
+      success: true,
+      message: "Avatar updated successfully",
+      data: {
+        avatarUrl: user.avatarUrl,
+        avatarSmallUrl: user.avatarSmallUrl,
+      },
+    });
+  } catch (error) {
+    console.error("Error uploading avatar:", error);
+
+    // Don't leave orphaned objects behind if saving failed
+    await deleteS3Keys(uploadedKeys);
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update avatar",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove the current user's avatar
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message
+ */
+exports.deleteAvatar = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select("+avatarKeys");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const previousKeys = user.avatarKeys || [];
+
+    user.avatarUrl = undefined;
+    user.avatarSmallUrl = undefined;
+    user.avatarKeys = [];
+    await user.save();
+
+    await deleteS3Keys(previousKeys);
+
+    res.status(200).json({
+      success: true,
+      message: "Avatar removed successfully",
+    });
+  } catch (error) {
+    console.error("Error removing avatar:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove avatar",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Upload a new profile banner for the current user
+ *
+ * @param {Object} req - Express request object with the image file
+ * @param {Object} res - Express response object
+ * @returns {Object} - New banner URL
+ */
+exports.uploadBanner = async (req, res) => {
+  let uploadedKey = null;
+
+  try {
+    const user = await User.findById(req.userId).select("+bannerKey");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const banner = await processBannerImage(req.file.buffer);
+    const bannerUpload = await uploadToS3(
+      banner,
+      generateUniqueFileName("banner.jpg", "banner"),
+      "image/jpeg"
+    );
+    uploadedKey = bannerUpload.key;
+
+    const previousKey = user.bannerKey;
+
+    user.bannerUrl = bannerUpload.url;
+    user.bannerKey = bannerUpload.key;
+    await user.save();
+
+    await deleteS3Keys([previousKey]);
+
+    res.status(200).json({
+      success: true,
+      message: "Banner updated successfully",
+      data: {
+        bannerUrl: user.bannerUrl,
+      },
+    });
+  } catch (error) {
+    console.error("Error uploading banner:", error);
+
+    await deleteS3Keys([uploadedKey]);
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update banner",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove the current user's profile banner
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message
+ */
+exports.deleteBanner = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select("+bannerKey");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const previousKey = user.bannerKey;
+
+    user.bannerUrl = undefined;
+    user.bannerKey = undefined;
+    await user.save();
+
+    await deleteS3Keys([previousKey]);
+
+    res.status(200).json({
+      success: true,
+      message: "Banner removed successfully",
+    });
+  } catch (error) {
+    console.error("Error removing banner:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove banner",
+      error: error.message,
+    });
+  }
+};
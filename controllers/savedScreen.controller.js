@@ -0,0 +1,422 @@
+/**
+ * Saved Screen Controller
+ *
+ * Handles saving stock screener criteria under a shareable slug,
+ * running saved screens, forking them and listing popular ones.
+ */
+
+const SavedScreen = require("../models/savedScreen.model");
+const SavedScreenRun = require("../models/savedScreenRun.model");
+const {
+  SAVED_SCREEN_VISIBILITIES,
+  SAVED_SCREEN_LIMITS,
+} = require("../config/savedScreens");
+const {
+  parseScreenerCriteria,
+  buildScreenerQuery,
+  runScreener,
+} = require("../utils/screener");
+const { getPagination, buildPagination } = require("../utils/pagination");
+const {
+  getPostingStatus,
+  visibleContentQuery,
+} = require("../utils/moderation");
+
+// Find a saved screen the viewer may see (sends a 404 if there isn't one).
+// Private screens are only visible to their author.
+const findVisibleScreen = async (req, res) => {
+  const screen = await SavedScreen.findOne({
+    slug: req.params.slug,
+    ...visibleContentQuery(req.userId),
+  }).populate("author", "username");
+
+  const isAuthor =
+    screen && req.userId && screen.author?._id.toString() === req.userId;
+  if (!screen || (screen.visibility === "private" && !isAuthor)) {
+    res.status(404).json({ message: "Screen not found" });
+    return null;
+  }
+
+  return screen;
+};
+
+// Find one of the current user's saved screens (sends a 404 if there isn't one)
+const findOwnScreen = async (req, res) => {
+  const screen = await SavedScreen.findOne({
+    slug: req.params.slug,
+    author: req.userId,
+  });
+  if (!screen) {
+    res.status(404).json({ message: "Screen not found" });
+    return null;
+  }
+
+  return screen;
+};
+
+// Validate the screen fields present in the body; returns { updates } or { error }
+const readScreenFields = (body) => {
+  const updates = {};
+  const { name, description, visibility, criteria } = body;
+
+  if (name !== undefined) {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    if (!trimmed) {
+      return { error: "Screen name is required" };
+    }
+    if (trimmed.length > SAVED_SCREEN_LIMITS.maxNameLength) {
+      return {
+        error: `Screen name must be at most ${SAVED_SCREEN_LIMITS.maxNameLength} characters`,
+      };
+    }
+    updates.name = trimmed;
+  }
+
+  if (description !== undefined) {
+    if (typeof description !== "string") {
+      return { error: "Description must be a string" };
+    }
+    if (description.trim().length > SAVED_SCREEN_LIMITS.maxDescriptionLength) {
+      return {
+        error: `Description must be at most ${SAVED_SCREEN_LIMITS.maxDescriptionLength} characters`,
+      };
+    }
+    updates.description = description.trim();
+  }
+
+  if (visibility !== undefined) {
+    if (!SAVED_SCREEN_VISIBILITIES.includes(visibility)) {
+      return {
+        error: `Visibility must be one of: ${SAVED_SCREEN_VISIBILITIES.join(
+          ", "
+        )}`,
+      };
+    }
+    updates.visibility = visibility;
+  }
+
+  if (criteria !== undefined) {
+    if (!criteria || typeof criteria !== "object" || Array.isArray(criteria)) {
+      return { error: "Criteria must be an object" };
+    }
+    const parsed = parseScreenerCriteria(criteria);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    updates.criteria = parsed.criteria;
+  }
+
+  return { updates };
+};
+
+// Create a screen for the current user, enforcing the per-user limit and
+// shadowban (sends an error response and returns null on failure)
+const createScreenForUser = async (req, res, fields) => {
+  const { restriction, shadowbanned } = await getPostingStatus(req.userId);
+  if (restriction) {
+    res.status(403).json(restriction);
+    return null;
+  }
+
+  const count = await SavedScreen.countDocuments({ author: req.userId });
+  if (count >= SAVED_SCREEN_LIMITS.maxScreensPerUser) {
+    res.status(400).json({
+      message: `You can have at most ${SAVED_SCREEN_LIMITS.maxScreensPerUser} saved screens`,
+    });
+    return null;
+  }
+
+  const screen = await SavedScreen.create({
+    ...fields,
+    author: req.userId,
+    slug: SavedScreen.generateSlug(fields.name),
+    shadowbanned,
+  });
+  await screen.populate("author", "username");
+
+  return screen;
+};
+
+/**
+ * List popular public screens
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - Public screens, most forked and run (by distinct users) first, with pagination
+ */
+exports.getPopularScreens = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query);
+    const query = { visibility: "public", shadowbanned: { $ne: true } };
+
+    const [screens, totalCount] = await Promise.all([
+      SavedScreen.find(query)
+        .sort({ forkCount: -1, runCount: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("author", "username")
+        .lean(),
+      SavedScreen.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      screens,
+      pagination: buildPagination(
+        page,
+        limit,
+        skip,
+        screens.length,
+        totalCount
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching popular screens:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * List the current user's saved screens
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - Screens, newest first, with pagination
+ */
+exports.getMyScreens = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query);
+    const query = { author: req.userId };
+
+    const [screens, totalCount] = await Promise.all([
+      SavedScreen.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      SavedScreen.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      screens,
+      pagination: buildPagination(
+        page,
+        limit,
+        skip,
+        screens.length,
+        totalCount
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching saved screens:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Save a screen
+ *
+ * @param {Object} req - Express request object with name, criteria (screener parameters) and optional description and visibility in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Created screen
+ */
+exports.createScreen = async (req, res) => {
+  try {
+    const { updates, error } = readScreenFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (!updates.name || !updates.criteria) {
+      return res
+        .status(400)
+        .json({ message: "Screen name and criteria are required" });
+    }
+
+    const screen = await createScreenForUser(req, res, updates);
+    if (!screen) return;
+
+    res.status(201).json({
+      message: "Screen saved successfully",
+      screen,
+    });
+  } catch (error) {
+    console.error("Error saving screen:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get a saved screen by slug
+ *
+ * @param {Object} req - Express request object with slug in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Screen
+ */
+exports.getScreen = async (req, res) => {
+  try {
+    const screen = await findVisibleScreen(req, res);
+    if (!screen) return;
+
+    res.status(200).json(screen);
+  } catch (error) {
+    console.error("Error fetching screen:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Run a saved screen
+ *
+ * @param {Object} req - Express request object with slug in params and page/limit in query
+ * @param {Object} res - Express response object
+ * @returns {Object} - Screen and matching stocks with pagination
+ */
+exports.runScreen = async (req, res) => {
+  try {
+    const screen = await findVisibleScreen(req, res);
+    if (!screen) return;
+
+    const query = buildScreenerQuery(screen.criteria);
+    if (query.error) {
+      // Criteria are validated on save; this only happens if the screener
+      // fields have changed since
+      return res.status(400).json({ message: query.error });
+    }
+
+    const { page, limit, skip } = getPagination(req.query, 25, 100);
+    const { stocks, totalCount } = await runScreener(query, { skip, limit });
+
+    // Count each signed-in user once per screen, so reloads can't inflate
+    // popularity (best effort; authors' own runs don't count)
+    if (req.userId && screen.author?._id.toString() !== req.userId) {
+      try {
+        const run = await SavedScreenRun.updateOne(
+          { screen: screen._id, user: req.userId },
+          { $setOnInsert: { createdAt: new Date() } },
+          { upsert: true }
+        );
+        if (run.upsertedCount > 0) {
+          await SavedScreen.updateOne(
+            { _id: screen._id },
+            { $inc: { runCount: 1 } }
+          );
+        }
+      } catch (countError) {
+        console.error("Error counting screen run:", countError);
+      }
+    }
+
+    res.status(200).json({
+      screen,
+      stocks,
+      pagination: buildPagination(page, limit, skip, stocks.length, totalCount),
+    });
+  } catch (error) {
+    console.error("Error running screen:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Fork a saved screen into the current user's screens
+ *
+ * @param {Object} req - Express request object with slug in params and optional name, description and visibility overrides in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - The new screen
+ */
+exports.forkScreen = async (req, res) => {
+  try {
+    const source = await findVisibleScreen(req, res);
+    if (!source) return;
+
+    const { updates, error } = readScreenFields({
+      name: source.name,
+      description: source.description,
+      ...req.body,
+      // The fork always starts from the source's criteria
+      criteria: source.criteria,
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const screen = await createScreenForUser(req, res, {
+      ...updates,
+      forkedFrom: source._id,
+    });
+    if (!screen) return;
+
+    if (source.author?._id.toString() !== req.userId) {
+      await SavedScreen.updateOne(
+        { _id: source._id },
+        { $inc: { forkCount: 1 } }
+      );
+    }
+
+    res.status(201).json({
+      message: "Screen forked successfully",
+      screen,
+    });
+  } catch (error) {
+    console.error("Error forking screen:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update a saved screen
+ *
+ * The slug doesn't change, so shared links keep working.
+ *
+ * @param {Object} req - Express request object with slug in params and name, description, visibility and/or criteria in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated screen
+ */
+exports.updateScreen = async (req, res) => {
+  try {
+    const screen = await findOwnScreen(req, res);
+    if (!screen) return;
+
+    const { updates, error } = readScreenFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: "No changes to update" });
+    }
+
+    screen.set(updates);
+    await screen.save();
+
+    res.status(200).json({
+      message: "Screen updated successfully",
+      screen,
+    });
+  } catch (error) {
+    console.error("Error updating screen:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Delete a saved screen
+ *
+ * Forks of the screen are kept.
+ *
+ * @param {Object} req - Express request object with slug in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message
+ */
+exports.deleteScreen = async (req, res) => {
+  try {
+    const screen = await findOwnScreen(req, res);
+    if (!screen) return;
+
+    await screen.deleteOne();
+    await SavedScreenRun.deleteMany({ screen: screen._id });
+
+    res.status(200).json({ message: "Screen deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting screen:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -0,0 +1,123 @@
+/**
+ * Settings Controller
+ *
+ * Handles reading and updating the current user's notification,
+ * privacy and posting preferences.
+ */
+
+const UserSettings = require("../models/userSettings.model");
+
+// Top-level groups of settings a user can change
+const SETTINGS_GROUPS = ["notifications", "delivery", "privacy", "posting"];
+
+// Settings as returned to the client (defaults filled in)
+const toSettingsResponse = (settings) => ({
+  notifications: settings.notifications,
+  delivery: settings.delivery,
+  privacy: settings.privacy,
+  posting: settings.posting,
+  updatedAt: settings.updatedAt || null,
+});
+
+// Turn a partial settings body into dotted paths, rejecting unknown or
+// mistyped settings; returns { updates } or { error }
+const buildSettingsUpdate = (body) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { error: "Settings must be an object" };
+  }
+
+  const updates = {};
+
+  for (const [group, values] of Object.entries(body)) {
+    if (!SETTINGS_GROUPS.includes(group)) {
+      return { error: `Unknown setting: ${group}` };
+    }
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+      return { error: `${group} must be an object` };
+    }
+
+    for (const [name, value] of Object.entries(values)) {
+      const path = `${group}.${name}`;
+      const schemaType = UserSettings.schema.path(path);
+      if (!schemaType) {
+        return { error: `Unknown setting: ${path}` };
+      }
+
+      if (schemaType.instance === "Boolean" && typeof value !== "boolean") {
+        return { error: `${path} must be true or false` };
+      }
+
+      if (schemaType.instance === "String") {
+        const allowed = schemaType.enumValues;
+        if (typeof value !== "string" || !allowed.includes(value)) {
+          return {
+            error: `${path} must be one of: ${allowed.join(", ")}`,
+          };
+        }
+      }
+
+      updates[path] = value;
+    }
+  }
+
+  return { updates };
+};
+
+/**
+ * Get the current user's settings
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - Settings, with defaults for anything not saved
+ */
+exports.getMySettings = async (req, res) => {
+  try {
+    const settings = await UserSettings.getForUser(req.userId);
+
+    res.status(200).json(toSettingsResponse(settings));
+  } catch (error) {
+    console.error("Error fetching settings:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update the current user's settings
+ *
+ * Only the settings included in the body are changed.
+ *
+ * @param {Object} req - Express request object with partial settings in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated settings
+ */
+exports.updateMySettings = async (req, res) => {
+  try {
+    const { updates, error } = buildSettingsUpdate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: "No settings to update" });
+    }
+
+    const settings = await UserSettings.findOneAndUpdate(
+      { user: req.userId },
+      { $set: updates },
+      {
+        new: true,
+        upsert: true,
+        runValidators: true,
+        setDefaultsOnInsert: true,
+      }
+    );
+
+    res.status(200).json({
+      message: "Settings updated successfully",
+      settings: toSettingsResponse(settings),
+    });
+  } catch (error) {
+    console.error("Error updating settings:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
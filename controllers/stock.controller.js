@@ -2,11 +2,34 @@
  * Stock Controller
  *
  * Handles all stock-related operations including CRUD operations
- * and like/dislike functionality for stocks.
+ * and bullish/bearish sentiment voting on stocks.
  */
 
+const mongoose = require("mongoose");
 const Stock = require("../models/stock.model");
 const Comment = require("../models/comment.model");
+const PriceBar = require("../models/priceBar.model");
+const Watchlist = require("../models/watchlist.model");
+const PriceAlert = require("../models/priceAlert.model");
+const SentimentVote = require("../models/sentimentVote.model");
+const SentimentSnapshot = require("../models/sentimentSnapshot.model");
+const { HISTORY_INTERVALS } = require("../config/priceBars");
+const { SENTIMENTS, SENTIMENT_HISTORY_DAYS } = require("../config/sentiment");
+const { getPriceHistory } = require("../utils/priceBars");
+const { buildScreenerQuery, runScreener } = require("../utils/screener");
+const { getPagination, buildPagination } = require("../utils/pagination");
+const {
+  getVoter,
+  toSentimentCounts,
+  castSentimentVote,
+  getSentimentHistory,
+} = require("../utils/sentiment");
+
+// Parse a date query parameter (ISO string or epoch milliseconds)
+const parseDateParam = (value) => {
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
 
 /**
  * Get all stocks
@@ -50,7 +73,7 @@ exports.getAllStocks = async (req, res) => {
     // Use aggregation to get comment counts efficiently in ONE query
     const stockIds = stocks.map((stock) => stock._id);
     const commentCounts = await Comment.aggregate([
-      { $match: { stock: { $in: stockIds } } },
+      { $match: { stock: { $in: stockIds }, shadowbanned: { $ne: true } } },
       { $group: { _id: "$stock", count: { $sum: 1 } } },
     ]);
 
@@ -75,6 +98,37 @@ exports.getAllStocks = async (req, res) => {
   }
 };
 
+/**
+ * Screen stocks by market data and company fields
+ *
+ * Supports range filters (e.g. marketCapMin, betaMax), exact-value filters
+ * (e.g. sector=Technology,Energy), type flags (e.g. isEtf=false), sorting
+ * on whitelisted fields (e.g. sort=-marketCap,symbol) and pagination.
+ *
+ * @param {Object} req - Express request object with screener parameters in query
+ * @param {Object} res - Express response object
+ * @returns {Object} - Matching stocks with pagination
+ */
+exports.screenStocks = async (req, res) => {
+  try {
+    const query = buildScreenerQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ message: query.error });
+    }
+
+    const { page, limit, skip } = getPagination(req.query, 25, 100);
+    const { stocks, totalCount } = await runScreener(query, { skip, limit });
+
+    res.status(200).json({
+      stocks,
+      pagination: buildPagination(page, limit, skip, stocks.length, totalCount),
+    });
+  } catch (error) {
+    console.error("Error screening stocks:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 /**
  * Get a single stock by ID
  *
@@ -379,15 +433,17 @@ exports.deleteStock = async (req, res) => {
       return res.status(404).json({ message: "Stock not found" });
     }
 
-    // Check if user is the creator
-    if (stock.createdBy.toString() !== req.userId) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to delete this stock" });
-    }
-
-    // Delete associated comments
+    // Delete associated comments, price history, alerts and sentiment, and
+    // drop it from watchlists
     await Comment.deleteMany({ stock: stock._id });
+    await PriceBar.deleteMany({ stock: stock._id });
+    await PriceAlert.deleteMany({ stock: stock._id });
+    await SentimentVote.deleteMany({ stock: stock._id });
+    await SentimentSnapshot.deleteMany({ stock: stock._id });
+    await Watchlist.updateMany(
+      { "entries.stock": stock._id },
+      { $pull: { entries: { stock: stock._id } } }
+    );
 
     // Delete the stock
     await Stock.findByIdAndDelete(stock._id);
@@ -399,181 +455,186 @@ exports.deleteStock = async (req, res) => {
 };
 
 /**
- * Like a stock
+ * Vote bullish or bearish on a stock
  *
- * @param {Object} req - Express request object with stock ID in params
+ * Each user (or IP, for anonymous voters) has one vote per stock, which
+ * can be changed at any time.
+ *
+ * @param {Object} req - Express request object with stock ID in params and sentiment ("bullish" or "bearish") in body
  * @param {Object} res - Express response object
- * @returns {Object} - Updated like/dislike counts
+ * @returns {Object} - The voter's vote and the stock's sentiment tallies
  */
-exports.likeStock = async (req, res) => {
+exports.voteStockSentiment = async (req, res) => {
   try {
-    console.log("Like stock request received:", {
-      stockId: req.params.id,
-      userId: req.userId,
-      hasAuth: !!req.header("Authorization"),
-      ip: req.ip,
-    });
-
-    // Get stock by ID only
-    const { id } = req.params;
+    const { sentiment } = req.body;
+    if (!SENTIMENTS.includes(sentiment)) {
+      return res.status(400).json({
+        message: `Sentiment must be one of: ${SENTIMENTS.join(", ")}`,
+      });
+    }
 
-    // Only search by MongoDB ID
-    let stock;
-    try {
-      stock = await Stock.findById(id);
-    } catch (error) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ message: "Invalid stock ID format" });
     }
 
+    const stock = await Stock.findById(req.params.id)
+      .select("bullishVotes bearishVotes")
+      .lean();
     if (!stock) {
       return res.status(404).json({ message: "Stock not found" });
     }
 
-    // Get client IP or session ID to track likes/dislikes
-    const clientIdentifier = req.ip || "anonymous";
-
-    // For authenticated users, use their ID
-    const userIdentifier = req.userId || clientIdentifier;
-
-    // We'll store IDs as strings for consistency
-    const userIdString = userIdentifier.toString();
+    const result = await castSentimentVote(stock, getVoter(req), sentiment);
 
-    // Initialize arrays if they don't exist
-    if (!stock.likedBy) stock.likedBy = [];
-    if (!stock.dislikedBy) stock.dislikedBy = [];
-
-    // For authenticated users, store ObjectId; for anonymous users, store string
-    const idToStore = req.userId ? req.userId : userIdString;
-
-    // Check if user/client already liked this stock
-    const alreadyLiked = req.userId
-      ? stock.likedBy.some((id) => id.toString() === req.userId.toString())
-      : stock.likedBy.some((id) => id.toString() === userIdString);
+    res.status(200).json({
+      message: "Vote recorded",
+      ...result,
+    });
+  } catch (error) {
+    console.error("Error voting on stock sentiment:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
 
-    if (alreadyLiked) {
-      return res.status(400).json({ message: "You already liked this stock" });
+/**
+ * Withdraw a sentiment vote on a stock
+ *
+ * @param {Object} req - Express request object with stock ID in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - The stock's sentiment tallies
+ */
+exports.removeStockSentimentVote = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid stock ID format" });
     }
 
-    // Remove user/client from dislikedBy if they previously disliked
-    const previouslyDisliked = req.userId
-      ? stock.dislikedBy.some((id) => id.toString() === req.userId.toString())
-      : stock.dislikedBy.some((id) => id.toString() === userIdString);
-
-    if (previouslyDisliked) {
-      stock.dislikedBy = stock.dislikedBy.filter((id) => {
-        const idStr = id.toString();
-        return req.userId
-          ? idStr !== req.userId.toString()
-          : idStr !== userIdString;
-      });
-      stock.dislikes = Math.max(0, stock.dislikes - 1);
+    const stock = await Stock.findById(req.params.id)
+      .select("bullishVotes bearishVotes")
+      .lean();
+    if (!stock) {
+      return res.status(404).json({ message: "Stock not found" });
     }
 
-    // Add like
-    stock.likedBy.push(idToStore);
-    stock.likes += 1;
-
-    await stock.save();
+    const result = await castSentimentVote(stock, getVoter(req), null);
 
     res.status(200).json({
-      message: "Stock liked successfully",
-      likes: stock.likes,
-      dislikes: stock.dislikes,
-      likedBy: stock.likedBy,
-      dislikedBy: stock.dislikedBy,
+      message: "Vote removed",
+      ...result,
     });
   } catch (error) {
+    console.error("Error removing stock sentiment vote:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
 /**
- * Dislike a stock
+ * Get a stock's sentiment over time
  *
- * @param {Object} req - Express request object with stock ID in params
+ * @param {Object} req - Express request object with symbol in params and days in query
  * @param {Object} res - Express response object
- * @returns {Object} - Updated like/dislike counts
+ * @returns {Object} - Current tallies, the requester's vote and a daily series, oldest first
  */
-exports.dislikeStock = async (req, res) => {
+exports.getStockSentiment = async (req, res) => {
   try {
-    console.log("Dislike stock request received:", {
-      stockId: req.params.id,
-      userId: req.userId,
-      hasAuth: !!req.header("Authorization"),
-      ip: req.ip,
-    });
-
-    // Get stock by ID only
-    const { id } = req.params;
-
-    // Only search by MongoDB ID
-    let stock;
-    try {
-      stock = await Stock.findById(id);
-    } catch (error) {
-      return res.status(400).json({ message: "Invalid stock ID format" });
+    const days =
+      req.query.days === undefined
+        ? SENTIMENT_HISTORY_DAYS.default
+        : Number(req.query.days);
+    if (
+      !Number.isInteger(days) ||
+      days < 1 ||
+      days > SENTIMENT_HISTORY_DAYS.max
+    ) {
+      return res.status(400).json({
+        message: `Days must be a whole number from 1 to ${SENTIMENT_HISTORY_DAYS.max}`,
+      });
     }
 
+    const stock = await Stock.findOne({
+      symbol: req.params.symbol.toUpperCase(),
+    })
+      .select("symbol bullishVotes bearishVotes")
+      .lean();
     if (!stock) {
       return res.status(404).json({ message: "Stock not found" });
     }
 
-    // Get client IP or session ID to track likes/dislikes
-    const clientIdentifier = req.ip || "anonymous";
-
-    // For authenticated users, use their ID
-    const userIdentifier = req.userId || clientIdentifier;
-
-    // We'll store IDs as strings for consistency
-    const userIdString = userIdentifier.toString();
-
-    // Initialize arrays if they don't exist
-    if (!stock.likedBy) stock.likedBy = [];
-    if (!stock.dislikedBy) stock.dislikedBy = [];
+    const [myVote, series] = await Promise.all([
+      SentimentVote.findOne({ stock: stock._id, ...getVoter(req) })
+        .select("sentiment")
+        .lean(),
+      getSentimentHistory(stock, days),
+    ]);
 
-    // For authenticated users, store ObjectId; for anonymous users, store string
-    const idToStore = req.userId ? req.userId : userIdString;
+    res.status(200).json({
+      symbol: stock.symbol,
+      days,
+      current: toSentimentCounts(stock.bullishVotes, stock.bearishVotes),
+      myVote: myVote ? myVote.sentiment : null,
+      series,
+    });
+  } catch (error) {
+    console.error("Error fetching stock sentiment:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
 
-    // Check if user/client already disliked this stock
-    const alreadyDisliked = req.userId
-      ? stock.dislikedBy.some((id) => id.toString() === req.userId.toString())
-      : stock.dislikedBy.some((id) => id.toString() === userIdString);
+/**
+ * Get a stock's price history
+ *
+ * Returns OHLCV bars for the requested interval. Hourly and daily bars
+ * are stored; 4h, weekly and monthly bars are aggregated from them.
+ *
+ * @param {Object} req - Express request object with symbol in params and interval, from and to query parameters
+ * @param {Object} res - Express response object
+ * @returns {Object} - Bars for the range, oldest first
+ */
+exports.getStockHistory = async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { interval = "1d" } = req.query;
 
-    if (alreadyDisliked) {
-      return res
-        .status(400)
-        .json({ message: "You already disliked this stock" });
+    if (!Object.hasOwn(HISTORY_INTERVALS, interval)) {
+      return res.status(400).json({
+        message: `Invalid interval. Must be one of: ${Object.keys(
+          HISTORY_INTERVALS
+        ).join(", ")}`,
+      });
     }
 
-    // Remove user/client from likedBy if they previously liked
-    const previouslyLiked = req.userId
-      ? stock.likedBy.some((id) => id.toString() === req.userId.toString())
-      : stock.likedBy.some((id) => id.toString() === userIdString);
-
-    if (previouslyLiked) {
-      stock.likedBy = stock.likedBy.filter((id) => {
-        const idStr = id.toString();
-        return req.userId
-          ? idStr !== req.userId.toString()
-          : idStr !== userIdString;
-      });
-      stock.likes = Math.max(0, stock.likes - 1);
+    const to = req.query.to ? parseDateParam(req.query.to) : new Date();
+    if (!to) {
+      return res.status(400).json({ message: "Invalid from or to date" });
+    }
+    const from = req.query.from
+      ? parseDateParam(req.query.from)
+      : new Date(to.getTime() - HISTORY_INTERVALS[interval].defaultRangeMs);
+    if (!from) {
+      return res.status(400).json({ message: "Invalid from or to date" });
+    }
+    if (from > to) {
+      return res.status(400).json({ message: "from must be before to" });
     }
 
-    // Add dislike
-    stock.dislikedBy.push(idToStore);
-    stock.dislikes += 1;
+    const stock = await Stock.findOne({ symbol: symbol.toUpperCase() })
+      .select("symbol")
+      .lean();
+    if (!stock) {
+      return res.status(404).json({ message: "Stock not found" });
+    }
 
-    await stock.save();
+    const bars = await getPriceHistory(stock, interval, from, to);
 
     res.status(200).json({
-      message: "Stock disliked successfully",
-      likes: stock.likes,
-      dislikes: stock.dislikes,
-      likedBy: stock.likedBy,
-      dislikedBy: stock.dislikedBy,
+      symbol: stock.symbol,
+      interval,
+      from,
+      to,
+      bars,
     });
   } catch (error) {
+    console.error("Error fetching stock history:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
@@ -0,0 +1,282 @@
+/**
+ * Two-Factor Controller
+ *
+ * Handles TOTP enrollment, recovery codes and the second step of
+ * password logins for accounts with two-factor authentication enabled.
+ */
+
+const crypto = require("crypto");
+const User = require("../models/user.model");
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+} = require("../utils/totp");
+const { issueTokens, verifyChallengeToken } = require("../utils/authTokens");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  sendLockedOut,
+} = require("../utils/loginThrottle");
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Fields that are hidden by default but needed to check codes
+const TWO_FACTOR_SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep";
+
+// Generate a fresh set of recovery codes; returns raw codes and their hashes
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map((code) => User.hashToken(code)),
+  };
+};
+
+// Check a TOTP code and record its time step so it can't be replayed
+const consumeTotpCode = (user, code) => {
+  const step = verifyTotp(
+    user.twoFactor.secret,
+    code,
+    user.twoFactor.lastUsedStep ?? -1
+  );
+  if (step === null) return false;
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Check a recovery code and remove it so it can only be used once
+const consumeRecoveryCode = (user, recoveryCode) => {
+  const normalized = String(recoveryCode || "")
+    .trim()
+    .toLowerCase();
+  const hash = User.hashToken(normalized);
+  const hashes = user.twoFactor.recoveryCodeHashes || [];
+
+  if (!hashes.includes(hash)) return false;
+
+  user.twoFactor.recoveryCodeHashes = hashes.filter((h) => h !== hash);
+  return true;
+};
+
+// Start enrollment: generate a secret and return the otpauth URI
+exports.setup = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(
+      TWO_FACTOR_SECRET_FIELDS
+    );
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+      secret,
+      otpauthUri: buildOtpAuthUri(secret, user.email),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Confirm enrollment with a code from the authenticator app
+exports.confirm = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.userId).select(
+      TWO_FACTOR_SECRET_FIELDS
+    );
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res
+        .status(400)
+        .json({ message: "Start two-factor setup before confirming" });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodeHashes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+      message: "Two-factor authentication enabled",
+      // Shown once; only hashes are stored
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Disable 2FA (requires the password and a current code)
+exports.disable = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.userId).select(
+      TWO_FACTOR_SECRET_FIELDS
+    );
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (user.requiresTwoFactor()) {
+      return res.status(403).json({
+        message: "Two-factor authentication is required for this account",
+      });
+    }
+
+    const isMatch = password && (await user.comparePassword(password));
+    if (!isMatch || !consumeTotpCode(user, code)) {
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Replace all recovery codes (requires a current code)
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.userId).select(
+      TWO_FACTOR_SECRET_FIELDS
+    );
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!consumeTotpCode(user, code)) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodeHashes = hashes;
+    await user.save();
+
+    res.status(200).json({
+      message: "Recovery codes regenerated",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Second login step: exchange a challenge token and code for a session
+exports.verifyLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = challengeToken && verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return res
+        .status(401)
+        .json({ message: "Login challenge is invalid or has expired" });
+    }
+
+    const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (
+      !user ||
+      !user.twoFactor.enabled ||
+      user.deletionRequestedAt ||
+      user.isBanned()
+    ) {
+      return res
+        .status(401)
+        .json({ message: "Login challenge is invalid or has expired" });
+    }
+
+    // Codes count towards the same lockout as passwords
+    const attempt = { email: user.email, ip: req.ip };
+    const { allowed, retryAfterMs } = await checkLoginAllowed(attempt);
+    if (!allowed) {
+      return sendLockedOut(res, retryAfterMs);
+    }
+
+    const verified = recoveryCode
+      ? consumeRecoveryCode(user, recoveryCode)
+      : consumeTotpCode(user, code);
+    if (!verified) {
+      const failure = await recordLoginFailure(attempt);
+      if (failure.retryAfterMs > 0) {
+        return sendLockedOut(res, failure.retryAfterMs);
+      }
+      return res.status(401).json({ message: "Invalid verification code" });
+    }
+
+    await user.save();
+    await recordLoginSuccess(attempt);
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.status(200).json({
+      message: "Login successful",
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified,
+      },
+      recoveryCodesRemaining: user.twoFactor.recoveryCodeHashes.length,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -0,0 +1,162 @@
+/**
+ * User Controller
+ *
+ * Handles user management operations such as listing accounts
+ * and assigning permission roles.
+ */
+
+const User = require("../models/user.model");
+const { ROLES, ROLE_PERMISSIONS } = require("../config/permissions");
+const { unlockAccount } = require("../utils/loginThrottle");
+const mongoose = require("mongoose");
+
+/**
+ * List users
+ *
+ * @param {Object} req - Express request object with optional role, search, page and limit query parameters
+ * @param {Object} res - Express response object
+ * @returns {Object} - Paginated list of users
+ */
+exports.listUsers = async (req, res) => {
+  try {
+    const { role, search, page = 1, limit = 20 } = req.query;
+
+    let query = {};
+
+    if (role && ROLES.includes(role)) {
+      query.role = role;
+    }
+
+    // Search by username or email
+    if (search && search.trim() !== "") {
+      const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const searchRegex = new RegExp(escaped, "i");
+      query.$or = [{ username: searchRegex }, { email: searchRegex }];
+    }
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const users = await User.find(query)
+      .select("username email role emailVerified createdAt")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalCount = await User.countDocuments(query);
+
+    res.status(200).json({
+      users,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / parseInt(limit)),
+        totalCount,
+        hasNextPage: skip + users.length < totalCount,
+      },
+    });
+  } catch (error) {
+    console.error("Error listing users:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * List roles and the permissions each grants
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - Map of role to permissions
+ */
+exports.getRoles = async (req, res) => {
+  res.status(200).json(ROLE_PERMISSIONS);
+};
+
+/**
+ * Assign a role to a user
+ *
+ * @param {Object} req - Express request object with user ID in params and role in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated user
+ */
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        message: `Invalid role. Must be one of: ${ROLES.join(", ")}`,
+      });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Never leave the site without an admin
+    if (user.role === "admin" && role !== "admin") {
+      const adminCount = await User.countDocuments({
+        $or: [{ role: "admin" }, { isAdmin: true }],
+      });
+      if (adminCount <= 1) {
+        return res
+          .status(400)
+          .json({ message: "Cannot remove the last admin" });
+      }
+    }
+
+    user.role = role;
+    user.isAdmin = undefined;
+    await user.save();
+
+    res.status(200).json({
+      message: "Role updated successfully",
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating user role:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Unlock a user locked out by failed login attempts
+ *
+ * @param {Object} req - Express request object with user ID in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message
+ */
+exports.unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const user = await User.findById(id).select("email username");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await unlockAccount(user.email);
+
+    res.status(200).json({
+      message: `Login lockout cleared for ${user.username}`,
+    });
+  } catch (error) {
+    console.error("Error unlocking user:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
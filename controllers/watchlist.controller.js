@@ -0,0 +1,537 @@
+/**
+ * Watchlist Controller
+ *
+ * Handles the current user's private watchlists: named, ordered lists
+ * of stocks with a personal note per stock.
+ */
+
+const mongoose = require("mongoose");
+const Watchlist = require("../models/watchlist.model");
+const Stock = require("../models/stock.model");
+const { WATCHLIST_LIMITS } = require("../config/watchlists");
+
+// Fields of a listed stock shown alongside its entry
+const ENTRY_STOCK_FIELDS = "symbol name image";
+
+// Find one of the current user's watchlists (sends a 400/404 if there isn't one)
+const findOwnWatchlist = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid watchlist ID format" });
+    return null;
+  }
+
+  // Other users' lists are reported as missing, not forbidden
+  const watchlist = await Watchlist.findOne({ _id: id, user: req.userId });
+  if (!watchlist) {
+    res.status(404).json({ message: "Watchlist not found" });
+    return null;
+  }
+
+  return watchlist;
+};
+
+// Look up stocks by symbol; returns { stocks } in the order given, or { missing }
+const findStocksBySymbols = async (symbols) => {
+  const normalized = [...new Set(symbols.map((s) => String(s).toUpperCase()))];
+  const stocks = await Stock.find({ symbol: { $in: normalized } })
+    .select("_id symbol")
+    .lean();
+  const bySymbol = new Map(stocks.map((stock) => [stock.symbol, stock]));
+
+  const missing = normalized.filter((symbol) => !bySymbol.has(symbol));
+  if (missing.length > 0) return { missing };
+
+  return { stocks: normalized.map((symbol) => bySymbol.get(symbol)) };
+};
+
+// Validate a watchlist name (sends a 400 if invalid)
+const readName = (req, res) => {
+  const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+
+  if (!name) {
+    res.status(400).json({ message: "Watchlist name is required" });
+    return null;
+  }
+
+  if (name.length > WATCHLIST_LIMITS.maxNameLength) {
+    res.status(400).json({
+      message: `Watchlist name must be at most ${WATCHLIST_LIMITS.maxNameLength} characters`,
+    });
+    return null;
+  }
+
+  return name;
+};
+
+// Validate an optional note (sends a 400 if invalid; undefined means unchanged)
+const readNote = (req, res) => {
+  const { note } = req.body;
+  if (note === undefined) return { note: undefined };
+
+  if (typeof note !== "string") {
+    res.status(400).json({ message: "Note must be a string" });
+    return null;
+  }
+
+  if (note.trim().length > WATCHLIST_LIMITS.maxNoteLength) {
+    res.status(400).json({
+      message: `Note must be at most ${WATCHLIST_LIMITS.maxNoteLength} characters`,
+    });
+    return null;
+  }
+
+  return { note: note.trim() };
+};
+
+// Watchlist summary for the list endpoint
+const toWatchlistSummary = (watchlist) => ({
+  id: watchlist._id,
+  name: watchlist.name,
+  entryCount: watchlist.entries.length,
+  createdAt: watchlist.createdAt,
+  updatedAt: watchlist.updatedAt,
+});
+
+// Full watchlist with its entries (populates the listed stocks)
+const toWatchlistResponse = async (watchlist) => {
+  await watchlist.populate("entries.stock", ENTRY_STOCK_FIELDS);
+
+  return {
+    ...toWatchlistSummary(watchlist),
+    entries: watchlist.entries
+      // Skip stocks that have since been deleted
+      .filter((entry) => entry.stock)
+      .map((entry) => ({
+        stockId: entry.stock._id,
+        symbol: entry.stock.symbol,
+        name: entry.stock.name,
+        image: entry.stock.image || null,
+        note: entry.note,
+        addedAt: entry.addedAt,
+      })),
+  };
+};
+
+/**
+ * List the current user's watchlists
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - Watchlist summaries, oldest first
+ */
+exports.getMyWatchlists = async (req, res) => {
+  try {
+    const watchlists = await Watchlist.find({ user: req.userId })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      watchlists: watchlists.map(toWatchlistSummary),
+    });
+  } catch (error) {
+    console.error("Error fetching watchlists:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Create a watchlist
+ *
+ * @param {Object} req - Express request object with name and optional symbols array in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Created watchlist
+ */
+exports.createWatchlist = async (req, res) => {
+  try {
+    const name = readName(req, res);
+    if (!name) return;
+
+    const { symbols = [] } = req.body;
+    if (!Array.isArray(symbols)) {
+      return res.status(400).json({ message: "Symbols must be an array" });
+    }
+    if (symbols.length > WATCHLIST_LIMITS.maxEntriesPerList) {
+      return res.status(400).json({
+        message: `A watchlist can hold at most ${WATCHLIST_LIMITS.maxEntriesPerList} stocks`,
+      });
+    }
+
+    const count = await Watchlist.countDocuments({ user: req.userId });
+    if (count >= WATCHLIST_LIMITS.maxListsPerUser) {
+      return res.status(400).json({
+        message: `You can have at most ${WATCHLIST_LIMITS.maxListsPerUser} watchlists`,
+      });
+    }
+
+    const { stocks, missing } = await findStocksBySymbols(symbols);
+    if (missing) {
+      return res
+        .status(404)
+        .json({ message: `Stocks not found: ${missing.join(", ")}` });
+    }
+
+    const watchlist = await Watchlist.create({
+      user: req.userId,
+      name,
+      entries: stocks.map((stock) => ({ stock: stock._id })),
+    });
+
+    res.status(201).json({
+      message: "Watchlist created successfully",
+      watchlist: await toWatchlistResponse(watchlist),
+    });
+  } catch (error) {
+    console.error("Error creating watchlist:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get one of the current user's watchlists
+ *
+ * @param {Object} req - Express request object with watchlist ID in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Watchlist with its entries in order
+ */
+exports.getWatchlist = async (req, res) => {
+  try {
+    const watchlist = await findOwnWatchlist(req, res);
+    if (!watchlist) return;
+
+    res.status(200).json(await toWatchlistResponse(watchlist));
+  } catch (error) {
+    console.error("Error fetching watchlist:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Rename a watchlist
+ *
+ * @param {Object} req - Express request object with watchlist ID in params and name in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated watchlist
+ */
+exports.updateWatchlist = async (req, res) => {
+  try {
+    const watchlist = await findOwnWatchlist(req, res);
+    if (!watchlist) return;
+
+    const name = readName(req, res);
+    if (!name) return;
+
+    watchlist.name = name;
+    await watchlist.save();
+
+    res.status(200).json({
+      message: "Watchlist updated successfully",
+      watchlist: await toWatchlistResponse(watchlist),
+    });
+  } catch (error) {
+    console.error("Error updating watchlist:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Delete a watchlist
+ *
+ * @param {Object} req - Express request object with watchlist ID in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message
+ */
+exports.deleteWatchlist = async (req, res) => {
+  try {
+    const watchlist = await findOwnWatchlist(req, res);
+    if (!watchlist) return;
+
+    await watchlist.deleteOne();
+
+    res.status(200).json({ message: "Watchlist deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting watchlist:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Add a stock to a watchlist
+ *
+ * @param {Object} req - Express request object with watchlist ID in params and symbol, optional note and position in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated watchlist
+ */
+exports.addWatchlistEntry = async (req, res) => {
+  try {
+    const watchlist = await findOwnWatchlist(req, res);
+    if (!watchlist) return;
+
+    const { symbol, position } = req.body;
+    if (!symbol || typeof symbol !== "string") {
+      return res.status(400).json({ message: "Symbol is required" });
+    }
+
+    const noteResult = readNote(req, res);
+    if (!noteResult) return;
+
+    if (watchlist.entries.length >= WATCHLIST_LIMITS.maxEntriesPerList) {
+      return res.status(400).json({
+        message: `A watchlist can hold at most ${WATCHLIST_LIMITS.maxEntriesPerList} stocks`,
+      });
+    }
+
+    const stock = await Stock.findOne({ symbol: symbol.toUpperCase() })
+      .select("_id")
+      .lean();
+    if (!stock) {
+      return res.status(404).json({ message: "Stock not found" });
+    }
+
+    if (watchlist.findEntryIndex(stock._id) !== -1) {
+      return res
+        .status(400)
+        .json({ message: "Stock is already on this watchlist" });
+    }
+
+    // Append by default, or insert at the requested position
+    const index = Number.isInteger(position)
+      ? Math.min(Math.max(position, 0), watchlist.entries.length)
+      : watchlist.entries.length;
+    watchlist.entries.splice(index, 0, {
+      stock: stock._id,
+      note: noteResult.note || "",
+    });
+    await watchlist.save();
+
+    res.status(201).json({
+      message: "Stock added to watchlist",
+      watchlist: await toWatchlistResponse(watchlist),
+    });
+  } catch (error) {
+    console.error("Error adding watchlist entry:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update a stock's note or position on a watchlist
+ *
+ * @param {Object} req - Express request object with watchlist ID and symbol in params and note and/or position in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated watchlist
+ */
+exports.updateWatchlistEntry = async (req, res) => {
+  try {
+    const watchlist = await findOwnWatchlist(req, res);
+    if (!watchlist) return;
+
+    const noteResult = readNote(req, res);
+    if (!noteResult) return;
+
+    const { position } = req.body;
+    if (position !== undefined && !Number.isInteger(position)) {
+      return res.status(400).json({ message: "Position must be an integer" });
+    }
+
+    const stock = await Stock.findOne({
+      symbol: req.params.symbol.toUpperCase(),
+    })
+      .select("_id")
+      .lean();
+    const index = stock ? watchlist.findEntryIndex(stock._id) : -1;
+    if (index === -1) {
+      return res
+        .status(404)
+        .json({ message: "Stock is not on this watchlist" });
+    }
+
+    if (noteResult.note !== undefined) {
+      watchlist.entries[index].note = noteResult.note;
+    }
+
+    if (position !== undefined) {
+      const [entry] = watchlist.entries.splice(index, 1);
+      const newIndex = Math.min(
+        Math.max(position, 0),
+        watchlist.entries.length
+      );
+      watchlist.entries.splice(newIndex, 0, entry);
+    }
+
+    await watchlist.save();
+
+    res.status(200).json({
+      message: "Watchlist entry updated",
+      watchlist: await toWatchlistResponse(watchlist),
+    });
+  } catch (error) {
+    console.error("Error updating watchlist entry:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Remove a stock from a watchlist
+ *
+ * @param {Object} req - Express request object with watchlist ID and symbol in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated watchlist
+ */
+exports.removeWatchlistEntry = async (req, res) => {
+  try {
+    const watchlist = await findOwnWatchlist(req, res);
+    if (!watchlist) return;
+
+    const stock = await Stock.findOne({
+      symbol: req.params.symbol.toUpperCase(),
+    })
+      .select("_id")
+      .lean();
+    const index = stock ? watchlist.findEntryIndex(stock._id) : -1;
+    if (index === -1) {
+      return res
+        .status(404)
+        .json({ message: "Stock is not on this watchlist" });
+    }
+
+    watchlist.entries.splice(index, 1);
+    await watchlist.save();
+
+    res.status(200).json({
+      message: "Stock removed from watchlist",
+      watchlist: await toWatchlistResponse(watchlist),
+    });
+  } catch (error) {
+    console.error("Error removing watchlist entry:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Reorder a watchlist
+ *
+ * @param {Object} req - Express request object with watchlist ID in params and every listed symbol, in the new order, in body
+ * @param {Object} res - Express response object
+ * @returns {Object} - Updated watchlist
+ */
+exports.reorderWatchlist = async (req, res) => {
+  try {
+    const watchlist = await findOwnWatchlist(req, res);
+    if (!watchlist) return;
+
+    const { symbols } = req.body;
+    if (!Array.isArray(symbols)) {
+      return res.status(400).json({ message: "Symbols must be an array" });
+    }
+
+    await watchlist.populate("entries.stock", "symbol");
+    const entriesBySymbol = new Map(
+      watchlist.entries
+        .filter((entry) => entry.stock)
+        .map((entry) => [entry.stock.symbol, entry])
+    );
+
+    // The new order must list every stock on the watchlist exactly once
+    const ordered = [...new Set(symbols.map((s) => String(s).toUpperCase()))];
+    if (
+      ordered.length !== symbols.length ||
+      ordered.length !== entriesBySymbol.size ||
+      !ordered.every((symbol) => entriesBySymbol.has(symbol))
+    ) {
+      return res.status(400).json({
+        message: "Symbols must list every stock on the watchlist exactly once",
+      });
+    }
+
+    watchlist.entries = ordered.map((symbol) => {
+      const entry = entriesBySymbol.get(symbol);
+      return {
+        stock: entry.stock._id,
+        note: entry.note,
+        addedAt: entry.addedAt,
+      };
+    });
+    await watchlist.save();
+
+    res.status(200).json({
+      message: "Watchlist reordered",
+      watchlist: await toWatchlistResponse(watchlist),
+    });
+  } catch (error) {
+    console.error("Error reordering watchlist:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get quotes for every stock on a watchlist
+ *
+ * Returns current price, change and comment count for each listed stock
+ * in a single aggregation, in the watchlist's order.
+ *
+ * @param {Object} req - Express request object with watchlist ID in params
+ * @param {Object} res - Express response object
+ * @returns {Object} - Quotes in watchlist order
+ */
+exports.getWatchlistQuotes = async (req, res) => {
+  try {
+    const watchlist = await findOwnWatchlist(req, res);
+    if (!watchlist) return;
+
+    const stockIds = watchlist.entries.map((entry) => entry.stock._id);
+    const stocks = await Stock.aggregate([
+      { $match: { _id: { $in: stockIds } } },
+      {
+        $lookup: {
+          from: "comments",
+          let: { stockId: "$_id" },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ["$stock", "$$stockId"] },
+                shadowbanned: { $ne: true },
+              },
+            },
+            { $count: "count" },
+          ],
+          as: "commentStats",
+        },
+      },
+      {
+        $project: {
+          symbol: 1,
+          name: 1,
+          image: 1,
+          currency: 1,
+          currentPrice: 1,
+          change: 1,
+          percentChange: 1,
+          lastUpdated: 1,
+          commentCount: {
+            $ifNull: [{ $arrayElemAt: ["$commentStats.count", 0] }, 0],
+          },
+        },
+      },
+    ]);
+
+    const stocksById = new Map(
+      stocks.map((stock) => [stock._id.toString(), stock])
+    );
+
+    res.status(200).json({
+      id: watchlist._id,
+      name: watchlist.name,
+      quotes: watchlist.entries
+        .map((entry) => {
+          const stock = stocksById.get(entry.stock._id.toString());
+          return stock && { ...stock, note: entry.note };
+        })
+        .filter(Boolean),
+    });
+  } catch (error) {
+    console.error("Error fetching watchlist quotes:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -0,0 +1,87 @@
+const ApiKey = require("../models/apiKey.model");
+const User = require("../models/user.model");
+const { API_KEY_CONFIG, getRequiredScope } = require("../config/apiKeys");
+const { consumeApiKeyRequest } = require("../utils/apiKeyRateLimit");
+const { getAccountRestriction } = require("../utils/moderation");
+
+// Only write last-used details this often, to avoid a write per request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// Authenticate a request by its X-API-Key header (called from authMiddleware)
+const authenticateApiKey = async (rawKey, req, res, next) => {
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(rawKey) });
+  if (!apiKey || !apiKey.isActive()) {
+    return res
+      .status(401)
+      .json({ message: "API key is invalid, expired or revoked" });
+  }
+
+  const requiredScope = getRequiredScope(req);
+  if (!requiredScope || !apiKey.scopes.includes(requiredScope)) {
+    return res.status(403).json({
+      message: "API key does not have access to this endpoint",
+      scope: requiredScope,
+    });
+  }
+
+  const limit =
+    apiKey.rateLimitPerMinute || API_KEY_CONFIG.defaultRateLimitPerMinute;
+  const { allowed, remaining, resetAt } = consumeApiKeyRequest(
+    apiKey._id.toString(),
+    limit
+  );
+  res.setHeader("X-RateLimit-Limit", limit);
+  res.setHeader("X-RateLimit-Remaining", remaining);
+  res.setHeader("X-RateLimit-Reset", Math.ceil(resetAt / 1000));
+  if (!allowed) {
+    const retryAfterSeconds = Math.ceil((resetAt - Date.now()) / 1000);
+    res.setHeader("Retry-After", retryAfterSeconds);
+    return res.status(429).json({
+      message: `API key rate limit exceeded. Try again in ${retryAfterSeconds} seconds.`,
+      retryAfter: retryAfterSeconds,
+    });
+  }
+
+  const user = await User.findById(apiKey.user).select(
+    "deletionRequestedAt moderation"
+  );
+  if (!user || user.deletionRequestedAt) {
+    return res
+      .status(401)
+      .json({ message: "API key is invalid, expired or revoked" });
+  }
+
+  const restriction = getAccountRestriction(user, req);
+  if (restriction) {
+    return res.status(403).json(restriction);
+  }
+
+  if (
+    !apiKey.lastUsedAt ||
+    Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS
+  ) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: new Date(), lastUsedIp: req.ip }
+    );
+  }
+
+  req.userId = apiKey.user.toString();
+  req.apiKeyId = apiKey._id;
+  next();
+};
+
+// Refuse requests made with an API key (e.g. managing keys or the account)
+const rejectApiKeyAuth = (req, res, next) => {
+  if (req.apiKeyId) {
+    return res
+      .status(403)
+      .json({ message: "This action cannot be performed with an API key" });
+  }
+  next();
+};
+
+module.exports = {
+  authenticateApiKey,
+  rejectApiKeyAuth,
+};
@@ -1,9 +1,19 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../utils/authTokens');
+const { authenticateApiKey } = require('./apiKey.middleware');
+const User = require('../models/user.model');
+const { getAccountRestriction } = require('../utils/moderation');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
-module.exports = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   try {
+    // Personal API keys (bots and integrations) use their own header
+    const apiKey = req.header('X-API-Key');
+    if (apiKey) {
+      return await authenticateApiKey(apiKey, req, res, next);
+    }
+
     // Get token from header
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -14,11 +24,65 @@ module.exports = (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, JWT_SECRET);
     
+    // Reject tokens whose session has been logged out or revoked
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
+    // Banned accounts are locked out; suspended ones are read-only
+    const user = await User.findById(decoded.id).select('moderation');
+    const restriction = getAccountRestriction(user, req);
+    if (restriction) {
+      return res.status(403).json(restriction);
+    }
+
     // Add user ID to request
     req.userId = decoded.id;
+    req.sessionId = decoded.sid;
     
     next();
   } catch (error) {
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
+
+// Optional auth - sets req.userId for a valid, live session, but doesn't require it
+const optionalAuthMiddleware = async (req, res, next) => {
+  // API keys are checked exactly as on protected routes
+  const apiKey = req.header('X-API-Key');
+  if (apiKey) {
+    try {
+      return await authenticateApiKey(apiKey, req, res, next);
+    } catch (error) {
+      return res.status(401).json({ message: 'API key is not valid' });
+    }
+  }
+
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      
+      // Logged-out or revoked sessions count as anonymous
+      if (!decoded.sid || (await isSessionActive(decoded.sid))) {
+        // Banned and suspended accounts can't act anonymously instead
+        const user = await User.findById(decoded.id).select('moderation');
+        const restriction = getAccountRestriction(user, req);
+        if (restriction) {
+          return res.status(403).json(restriction);
+        }
+
+        req.userId = decoded.id;
+        req.sessionId = decoded.sid;
+      }
+    } catch (error) {
+      // Token is invalid, but we continue without setting userId
+    }
+  }
+
+  next();
+};
+
+module.exports = authMiddleware;
+module.exports.optionalAuthMiddleware = optionalAuthMiddleware;
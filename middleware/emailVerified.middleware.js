@@ -0,0 +1,40 @@
+const User = require("../models/user.model");
+
+// Actions unverified accounts may not perform, e.g. "conversations,portfolios".
+// Set UNVERIFIED_USER_RESTRICTIONS to an empty string to disable the policy.
+const RESTRICTED_ACTIONS = (
+  process.env.UNVERIFIED_USER_RESTRICTIONS ?? "conversations,portfolios"
+)
+  .split(",")
+  .map((action) => action.trim())
+  .filter(Boolean);
+
+// Require a verified email for the given action (must run after authMiddleware)
+const requireVerifiedEmail = (action) => async (req, res, next) => {
+  if (!RESTRICTED_ACTIONS.includes(action)) {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(req.userId).select("emailVerified");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.emailVerified) {
+      return res.status(403).json({
+        message: "Please verify your email address before continuing",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  requireVerifiedEmail,
+  RESTRICTED_ACTIONS,
+};
@@ -0,0 +1,53 @@
+const User = require("../models/user.model");
+const { roleHasPermission } = require("../config/permissions");
+const { getTwoFactorSetupRestriction } = require("./twoFactor.middleware");
+
+// Check whether a user's role grants a permission they can use right now
+// (not while they still have to enroll in 2FA)
+const userHasPermission = async (userId, permission) => {
+  if (!userId) return false;
+
+  const user = await User.findById(userId).select(
+    "role isAdmin twoFactor.enabled twoFactorRequired"
+  );
+  return (
+    !!user &&
+    roleHasPermission(user.role, permission) &&
+    !getTwoFactorSetupRestriction(user)
+  );
+};
+
+// Require a permission for the current user (must run after authMiddleware).
+// Privileged accounts that must use 2FA are refused until they enroll.
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select(
+      "role isAdmin twoFactor.enabled twoFactorRequired"
+    );
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!roleHasPermission(user.role, permission)) {
+      return res.status(403).json({
+        message: "Access denied. You don't have permission to do this.",
+        permission,
+      });
+    }
+
+    const restriction = getTwoFactorSetupRestriction(user);
+    if (restriction) {
+      return res.status(403).json(restriction);
+    }
+
+    req.userRole = user.role;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  requirePermission,
+  userHasPermission,
+};
@@ -0,0 +1,35 @@
+const User = require("../models/user.model");
+
+// 403 body for an account that must enroll in 2FA but hasn't, or null
+const getTwoFactorSetupRestriction = (user) =>
+  user.requiresTwoFactor() && !user.twoFactor?.enabled
+    ? {
+        message:
+          "Two-factor authentication must be enabled on this account before continuing",
+        code: "TWO_FACTOR_SETUP_REQUIRED",
+      }
+    : null;
+
+// Block accounts that must use 2FA until they have enrolled (run after authMiddleware)
+const requireTwoFactorEnrollment = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const restriction = getTwoFactorSetupRestriction(user);
+    if (restriction) {
+      return res.status(403).json(restriction);
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  getTwoFactorSetupRestriction,
+  requireTwoFactorEnrollment,
+};
@@ -0,0 +1,43 @@
+const User = require("../models/user.model");
+const UsernameHistory = require("../models/usernameHistory.model");
+
+// Redirect lookups by a user's old username to their current one, so links
+// to renamed profiles keep working (use on GET routes with a :username param)
+const redirectOldUsername = async (req, res, next) => {
+  try {
+    const { username } = req.params;
+
+    if (await User.exists({ username })) {
+      return next();
+    }
+
+    const ownerId = await UsernameHistory.findLatestOwner(username);
+    const owner = ownerId
+      ? await User.findById(ownerId).select("username").lean()
+      : null;
+    if (!owner) {
+      return next();
+    }
+
+    // Swap the old name for the new one, keeping the rest of the path and query
+    const rest = req.path.split("/").slice(2);
+    const queryIndex = req.originalUrl.indexOf("?");
+    const query = queryIndex === -1 ? "" : req.originalUrl.slice(queryIndex);
+    const location =
+      [req.baseUrl, encodeURIComponent(owner.username), ...rest].join("/") +
+      query;
+
+    res.setHeader("Location", location);
+    res.status(301).json({
+      message: "This user has changed their username",
+      username: owner.username,
+      location,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  redirectOldUsername,
+};
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { API_KEY_SCOPES } = require("../config/apiKeys");
+
+// Raw keys look like "sfk_<64 hex chars>"; only their SHA-256 is stored
+const API_KEY_PREFIX = "sfk_";
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // First characters of the key, shown so users can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: [
+        (scopes) => scopes.length > 0,
+        "At least one scope is required",
+      ],
+    },
+    // Requests per minute allowed for this key
+    rateLimitPerMinute: {
+      type: Number,
+      min: 1,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+// Whether the key can currently be used
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Generate a new raw key with its hash and display prefix
+apiKeySchema.statics.generateKey = function () {
+  const rawKey = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("hex")}`;
+  return {
+    rawKey,
+    keyHash: this.hashKey(rawKey),
+    prefix: rawKey.slice(0, API_KEY_PREFIX.length + 8),
+  };
+};
+
+apiKeySchema.statics.hashKey = function (rawKey) {
+  return crypto.createHash("sha256").update(rawKey).digest("hex");
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+module.exports = ApiKey;
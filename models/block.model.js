@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+
+// A user's block or mute of another user. Muting hides the other user's
+// posts from the muter; blocking also stops them interacting with the blocker.
+const blockSchema = new mongoose.Schema(
+  {
+    blocker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    blocked: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["block", "mute"],
+      default: "block",
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One relationship per pair; blocking a muted user upgrades the mute
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1, type: 1 });
+
+// IDs of users the given user has blocked or been blocked by
+blockSchema.statics.getBlockedUserIds = async function (userId) {
+  const blocks = await this.find({
+    type: "block",
+    $or: [{ blocker: userId }, { blocked: userId }],
+  }).lean();
+
+  return blocks.map((block) =>
+    block.blocker.toString() === userId.toString()
+      ? block.blocked.toString()
+      : block.blocker.toString()
+  );
+};
+
+// IDs of authors whose posts are hidden from a viewer (blocked or muted by them)
+blockSchema.statics.getHiddenAuthorIds = async function (viewerId) {
+  if (!viewerId) return [];
+
+  const blocks = await this.find({ blocker: viewerId })
+    .select("blocked")
+    .lean();
+  return blocks.map((block) => block.blocked);
+};
+
+// Whether `blockerId` has blocked `userId`
+blockSchema.statics.isBlocking = async function (blockerId, userId) {
+  if (!blockerId || !userId) return false;
+
+  const block = await this.exists({
+    blocker: blockerId,
+    blocked: userId,
+    type: "block",
+  });
+  return !!block;
+};
+
+const Block = mongoose.model("Block", blockSchema);
+
+module.exports = Block;
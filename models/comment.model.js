@@ -17,6 +17,19 @@ const commentSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Posted while the author was shadowbanned: only the author sees it
+    shadowbanned: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
+    // Who posted a shadowbanned comment, kept even when it is anonymous so
+    // its author still sees it
+    shadowbannedAuthor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      select: false,
+    },
     // For stock comments
     stock: {
       type: mongoose.Schema.Types.ObjectId,
@@ -76,7 +89,15 @@ const commentSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      // Never reveal a shadowban in API responses
+      transform: (doc, ret) => {
+        delete ret.shadowbanned;
+        delete ret.shadowbannedAuthor;
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
@@ -118,6 +139,9 @@ commentSchema.pre("save", function (next) {
   next();
 });
 
+// Index for profile activity lookups
+commentSchema.index({ author: 1, createdAt: -1 });
+
 const Comment = mongoose.model("Comment", commentSchema);
 
 module.exports = Comment;
@@ -18,7 +18,20 @@ const conversationSchema = new mongoose.Schema(
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      // Conversations from deleted accounts are kept without an author
+      required: function () {
+        return !this.isAnonymous;
+      },
+    },
+    isAnonymous: {
+      type: Boolean,
+      default: false,
+    },
+    // Posted while the author was shadowbanned: only the author sees it
+    shadowbanned: {
+      type: Boolean,
+      default: false,
+      select: false,
     },
     likes: {
       type: Number,
@@ -37,7 +50,14 @@ const conversationSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      // Never reveal a shadowban in API responses
+      transform: (doc, ret) => {
+        delete ret.shadowbanned;
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
@@ -49,6 +69,9 @@ conversationSchema.virtual("comments", {
   foreignField: "conversation",
 });
 
+// Index for profile activity lookups
+conversationSchema.index({ author: 1, createdAt: -1 });
+
 const Conversation = mongoose.model("Conversation", conversationSchema);
 
 module.exports = Conversation;
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+const followSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    following: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One follow per pair; also serves "who do I follow" lookups
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+// For follower lists
+followSchema.index({ following: 1, createdAt: -1 });
+
+const Follow = mongoose.model("Follow", followSchema);
+
+module.exports = Follow;
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// Moderation actions that can be taken against an account
+const MODERATION_ACTIONS = [
+  "suspend",
+  "unsuspend",
+  "ban",
+  "unban",
+  "shadowban",
+  "unshadowban",
+];
+
+// Audit log of moderation actions taken against users
+const moderationActionSchema = new mongoose.Schema(
+  {
+    // User the action was taken against (null once their account is purged)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Moderator who took the action
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: MODERATION_ACTIONS,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    // When a suspension ends (suspend actions only)
+    expiresAt: {
+      type: Date,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+moderationActionSchema.index({ user: 1, createdAt: -1 });
+
+const ModerationAction = mongoose.model(
+  "ModerationAction",
+  moderationActionSchema
+);
+
+module.exports = ModerationAction;
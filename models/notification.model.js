@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// Kinds of notification
+const NOTIFICATION_TYPES = ["price_alert"];
+
+// An in-app notification for a user
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // What the notification is about (depends on the type)
+    stock: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Stock",
+    },
+    priceAlert: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PriceAlert",
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+module.exports = Notification;
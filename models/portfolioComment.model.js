@@ -17,6 +17,19 @@ const portfolioCommentSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Posted while the author was shadowbanned: only the author sees it
+    shadowbanned: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
+    // Who posted a shadowbanned comment, kept even when it is anonymous so
+    // its author still sees it
+    shadowbannedAuthor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      select: false,
+    },
     // For portfolio comments
     portfolio: {
       type: mongoose.Schema.Types.ObjectId,
@@ -72,7 +85,15 @@ const portfolioCommentSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      // Never reveal a shadowban in API responses
+      transform: (doc, ret) => {
+        delete ret.shadowbanned;
+        delete ret.shadowbannedAuthor;
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
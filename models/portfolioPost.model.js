@@ -71,6 +71,12 @@ const portfolioPostSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Posted while the author was shadowbanned: only the author sees it
+    shadowbanned: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -78,11 +84,19 @@ const portfolioPostSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    toJSON: {
+      // Never reveal a shadowban in API responses
+      transform: (doc, ret) => {
+        delete ret.shadowbanned;
+        return ret;
+      },
+    },
   }
 );
 
 // Add indexes for efficient querying
 portfolioPostSchema.index({ author: 1 });
+portfolioPostSchema.index({ author: 1, createdAt: -1 });
 portfolioPostSchema.index({ category: 1 });
 portfolioPostSchema.index({ createdAt: -1 });
 portfolioPostSchema.index({ upvotes: -1 });
@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+const {
+  PRICE_ALERT_CONDITIONS,
+  PRICE_ALERT_LIMITS,
+} = require("../config/priceAlerts");
+
+// A user's alert on a stock's price, checked after every stock update
+const priceAlertSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    stock: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Stock",
+      required: true,
+    },
+    symbol: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    condition: {
+      type: String,
+      enum: PRICE_ALERT_CONDITIONS,
+      required: true,
+    },
+    // Price level, or percentage for percent_change alerts
+    threshold: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Recurring alerts re-arm once the condition stops holding; one-shot
+    // alerts are deactivated after they trigger
+    recurring: {
+      type: Boolean,
+      default: false,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: PRICE_ALERT_LIMITS.maxNoteLength,
+      default: "",
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    // Whether the condition held at the last check, so an alert only
+    // triggers when the condition starts holding
+    conditionMet: {
+      type: Boolean,
+      default: false,
+    },
+    lastTriggeredAt: {
+      type: Date,
+    },
+    lastTriggeredPrice: {
+      type: Number,
+    },
+    triggerCount: {
+      type: Number,
+      default: 0,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+priceAlertSchema.index({ stock: 1, active: 1 });
+priceAlertSchema.index({ user: 1, createdAt: -1 });
+
+// Whether the alert's condition holds for a stock's latest quote
+priceAlertSchema.methods.isConditionMet = function (stock) {
+  switch (this.condition) {
+    case "above":
+      return stock.currentPrice >= this.threshold;
+    case "below":
+      return stock.currentPrice <= this.threshold;
+    case "percent_change":
+      return Math.abs(stock.percentChange || 0) >= this.threshold;
+    default:
+      return false;
+  }
+};
+
+const PriceAlert = mongoose.model("PriceAlert", priceAlertSchema);
+
+module.exports = PriceAlert;
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const { STORED_INTERVALS } = require("../config/priceBars");
+
+// One OHLCV candle for a stock. Bars are upserted as prices come in, so this
+// is a regular collection rather than a MongoDB time-series collection.
+const priceBarSchema = new mongoose.Schema(
+  {
+    stock: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Stock",
+      required: true,
+    },
+    symbol: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    interval: {
+      type: String,
+      enum: Object.keys(STORED_INTERVALS),
+      required: true,
+    },
+    // Start of the bar's period (UTC)
+    start: {
+      type: Date,
+      required: true,
+    },
+    open: {
+      type: Number,
+      required: true,
+    },
+    high: {
+      type: Number,
+      required: true,
+    },
+    low: {
+      type: Number,
+      required: true,
+    },
+    close: {
+      type: Number,
+      required: true,
+    },
+    volume: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+priceBarSchema.index({ stock: 1, interval: 1, start: 1 }, { unique: true });
+
+const PriceBar = mongoose.model("PriceBar", priceBarSchema);
+
+module.exports = PriceBar;
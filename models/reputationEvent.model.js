@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+const { REPUTATION_ACTIONS } = require("../config/reputation");
+
+// Append-only ledger of reputation changes; a user's reputation is the sum of their events
+const reputationEventSchema = new mongoose.Schema(
+  {
+    // User receiving (or losing) reputation
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // User who cast the vote (absent for anonymous votes)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    action: {
+      type: String,
+      enum: [...Object.keys(REPUTATION_ACTIONS), "recompute_adjustment"],
+      required: true,
+    },
+    sourceType: {
+      type: String,
+      enum: ["comment", "conversation", "portfolio", null],
+      default: null,
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    points: {
+      type: Number,
+      required: true,
+    },
+    // True when this event cancels an earlier one (unlike, vote removal)
+    isReversal: {
+      type: Boolean,
+      default: false,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reputationEventSchema.index({ user: 1, createdAt: -1 });
+reputationEventSchema.index({ sourceType: 1, sourceId: 1 });
+
+const ReputationEvent = mongoose.model(
+  "ReputationEvent",
+  reputationEventSchema
+);
+
+module.exports = ReputationEvent;
@@ -0,0 +1,96 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const {
+  SAVED_SCREEN_VISIBILITIES,
+  SAVED_SCREEN_LIMITS,
+} = require("../config/savedScreens");
+
+// A named set of stock screener criteria, shareable by its slug
+const savedScreenSchema = new mongoose.Schema(
+  {
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: SAVED_SCREEN_LIMITS.maxNameLength,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: SAVED_SCREEN_LIMITS.maxDescriptionLength,
+      default: "",
+    },
+    // Stable identifier used in share URLs (kept when the screen is renamed)
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    visibility: {
+      type: String,
+      enum: SAVED_SCREEN_VISIBILITIES,
+      default: "private",
+    },
+    // Screener parameters in canonical form (see parseScreenerCriteria)
+    criteria: {
+      type: Object,
+      required: true,
+    },
+    forkedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SavedScreen",
+    },
+    // Distinct signed-in users, other than the author, who have run it
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+    forkCount: {
+      type: Number,
+      default: 0,
+    },
+    // Saved while the author was shadowbanned: only the author sees it
+    shadowbanned: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // Never reveal a shadowban in API responses
+      transform: (doc, ret) => {
+        delete ret.shadowbanned;
+        return ret;
+      },
+    },
+  }
+);
+
+savedScreenSchema.index({ author: 1, createdAt: -1 });
+savedScreenSchema.index({ visibility: 1, forkCount: -1, runCount: -1 });
+
+// URL-safe slug from a screen's name, with a random suffix so names can repeat
+savedScreenSchema.statics.generateSlug = function (name) {
+  const base = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, 60)
+    .replace(/^-+|-+$/g, "");
+  const suffix = crypto.randomBytes(4).toString("hex");
+  return base ? `${base}-${suffix}` : suffix;
+};
+
+const SavedScreen = mongoose.model("SavedScreen", savedScreenSchema);
+
+module.exports = SavedScreen;
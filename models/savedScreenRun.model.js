@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// A signed-in user having run someone else's saved screen. Each user counts
+// once towards the screen's runCount, however often they run it.
+const savedScreenRunSchema = new mongoose.Schema(
+  {
+    screen: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SavedScreen",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+savedScreenRunSchema.index({ screen: 1, user: 1 }, { unique: true });
+savedScreenRunSchema.index({ user: 1 });
+
+const SavedScreenRun = mongoose.model("SavedScreenRun", savedScreenRunSchema);
+
+module.exports = SavedScreenRun;
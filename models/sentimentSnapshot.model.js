@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// A stock's sentiment tallies at the end of a (UTC) day. Days without any
+// voting have no snapshot; their tallies carry over from the day before.
+const sentimentSnapshotSchema = new mongoose.Schema(
+  {
+    stock: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Stock",
+      required: true,
+    },
+    // Start of the day (UTC midnight)
+    date: {
+      type: Date,
+      required: true,
+    },
+    bullish: {
+      type: Number,
+      default: 0,
+    },
+    bearish: {
+      type: Number,
+      default: 0,
+    },
+    // Votes cast, changed or withdrawn during the day
+    votes: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sentimentSnapshotSchema.index({ stock: 1, date: 1 }, { unique: true });
+
+const SentimentSnapshot = mongoose.model(
+  "SentimentSnapshot",
+  sentimentSnapshotSchema
+);
+
+module.exports = SentimentSnapshot;
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+const { SENTIMENTS } = require("../config/sentiment");
+
+// A voter's current bullish/bearish stance on a stock. Signed-in voters are
+// identified by user, anonymous ones by IP; each has one vote per stock.
+const sentimentVoteSchema = new mongoose.Schema(
+  {
+    stock: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Stock",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    ip: {
+      type: String,
+    },
+    sentiment: {
+      type: String,
+      enum: SENTIMENTS,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sentimentVoteSchema.index(
+  { stock: 1, user: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: "objectId" } } }
+);
+sentimentVoteSchema.index(
+  { stock: 1, ip: 1 },
+  { unique: true, partialFilterExpression: { ip: { $type: "string" } } }
+);
+sentimentVoteSchema.index({ user: 1 });
+
+const SentimentVote = mongoose.model("SentimentVote", sentimentVoteSchema);
+
+module.exports = SentimentVote;
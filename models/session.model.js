@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// One document per issued refresh token. All tokens that descend from the
+// same login share a `family`, so a whole device session can be revoked at once.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    family: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the refresh token; the raw token is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set when this token has been exchanged for a new one
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout_all",
+        "reuse_detected",
+        "password_reset",
+        "password_change",
+        "account_deleted",
+        "banned",
+        null,
+      ],
+      default: null,
+    },
+    // Client metadata for display in session lists
+    userAgent: {
+      type: String,
+    },
+    ipAddress: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Add indexes for efficient querying
+sessionSchema.index({ user: 1 });
+sessionSchema.index({ family: 1 });
+// Let MongoDB purge sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
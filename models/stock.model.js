@@ -145,27 +145,16 @@ const stockSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
-    // User interaction data
-    likes: {
+    // User interaction data. Sentiment tallies count the current
+    // SentimentVote documents for the stock.
+    bullishVotes: {
       type: Number,
       default: 0,
     },
-    dislikes: {
+    bearishVotes: {
       type: Number,
       default: 0,
     },
-    likedBy: [
-      {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "User",
-      },
-    ],
-    dislikedBy: [
-      {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "User",
-      },
-    ],
     commentCount: {
       type: Number,
       default: 0,
@@ -193,6 +182,22 @@ const stockSchema = new mongoose.Schema(
   }
 );
 
+// Screener filters and sorts (see config/screener.js)
+stockSchema.index({ marketCap: -1 });
+stockSchema.index({ beta: 1 });
+stockSchema.index({ currentPrice: 1 });
+stockSchema.index({ percentChange: -1 });
+stockSchema.index({ volume: -1 });
+stockSchema.index({ lastDividend: -1 });
+stockSchema.index({ commentCount: -1 });
+stockSchema.index({ bullishVotes: -1 });
+stockSchema.index({ bearishVotes: -1 });
+stockSchema.index({ name: 1 });
+stockSchema.index({ sector: 1, industry: 1, marketCap: -1 });
+stockSchema.index({ industry: 1, marketCap: -1 });
+stockSchema.index({ exchange: 1, marketCap: -1 });
+stockSchema.index({ country: 1, marketCap: -1 });
+
 const Stock = mongoose.model("Stock", stockSchema);
 
 module.exports = Stock;
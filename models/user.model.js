@@ -1,5 +1,16 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { ROLES, TWO_FACTOR_REQUIRED_ROLES } = require("../config/permissions");
+
+// How long a password reset link stays valid
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+// How long an email verification link stays valid
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Force privileged accounts to enroll in two-factor authentication
+const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA === "true";
 
 const userSchema = new mongoose.Schema(
   {
@@ -17,19 +28,197 @@ const userSchema = new mongoose.Schema(
       trim: true,
       lowercase: true,
     },
+    // Not set for accounts that only sign in through a linked provider
     password: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.authProviders || this.authProviders.length === 0;
+      },
       minlength: 6,
     },
-    googleId: {
+    // When the user last set, changed or reset their password
+    passwordChangedAt: {
+      type: Date,
+    },
+    // External login providers linked to this account
+    authProviders: [
+      {
+        _id: false,
+        provider: {
+          type: String,
+          required: true,
+        },
+        providerId: {
+          type: String,
+          required: true,
+        },
+        email: {
+          type: String,
+          trim: true,
+          lowercase: true,
+        },
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Public profile
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+    // Profile images stored in S3 (keys kept so old objects can be removed)
+    avatarUrl: {
+      type: String,
+      trim: true,
+    },
+    avatarSmallUrl: {
+      type: String,
+      trim: true,
+    },
+    avatarKeys: {
+      type: [String],
+      select: false,
+    },
+    bannerUrl: {
+      type: String,
+      trim: true,
+    },
+    bannerKey: {
+      type: String,
+      select: false,
+    },
+    // Running total of the reputation ledger (see utils/reputation.js)
+    reputation: {
+      type: Number,
+      default: 0,
+    },
+    // Permission role (see config/permissions.js)
+    role: {
       type: String,
-      sparse: true,
+      enum: ROLES,
+      default: "user",
     },
+    // Legacy admin flag from before roles; still grants admin until
+    // `node scripts/assignRole.js --migrate-legacy-admins` has run
     isAdmin: {
       type: Boolean,
+    },
+    // Email ownership verification
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    emailVerificationSentAt: {
+      type: Date,
+    },
+    // TOTP two-factor authentication
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret generated at setup, promoted to `secret` once confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodeHashes: {
+        type: [String],
+        select: false,
+      },
+      // Time step of the last accepted code, to block replays
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+    // Require this account to enroll in 2FA regardless of role
+    twoFactorRequired: {
+      type: Boolean,
       default: false,
     },
+    // Password reset (only the SHA-256 of the emailed token is stored)
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Account deletion: the account is disabled at request time and
+    // permanently removed once the grace period ends
+    deletionRequestedAt: {
+      type: Date,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      index: { sparse: true },
+    },
+    // Moderation state (history is kept in ModerationAction). A suspension
+    // lifts itself once suspendedUntil passes; a ban lasts until reversed.
+    moderation: {
+      suspendedUntil: {
+        type: Date,
+      },
+      suspendedAt: {
+        type: Date,
+      },
+      suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      suspensionReason: {
+        type: String,
+        trim: true,
+      },
+      bannedAt: {
+        type: Date,
+      },
+      bannedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      banReason: {
+        type: String,
+        trim: true,
+      },
+      // Shadowbanned users can still post, but only they see their content
+      shadowbannedAt: {
+        type: Date,
+      },
+      shadowbannedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      shadowbanReason: {
+        type: String,
+        trim: true,
+      },
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -40,12 +229,23 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Treat unmigrated legacy admins as admins (saving the user migrates them)
+userSchema.post("init", function (doc) {
+  if (doc.isAdmin && doc.role === "user") {
+    doc.role = "admin";
+  }
+});
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
     return next();
   }
 
+  if (this.password) {
+    this.passwordChangedAt = new Date();
+  }
+
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
@@ -57,6 +257,9 @@ userSchema.pre("save", async function (next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  // Provider-only accounts have no password to match
+  if (!this.password || !candidatePassword) return false;
+
   try {
     return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
@@ -64,6 +267,85 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   }
 };
 
+// Generate a single-use password reset token; returns the raw token to email
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+
+  this.passwordResetTokenHash = this.constructor.hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+
+  return resetToken;
+};
+
+// Generate an email verification token; returns the raw token to email
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationTokenHash =
+    this.constructor.hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(
+    Date.now() + EMAIL_VERIFICATION_TTL_MS
+  );
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Whether the account can sign in with a password
+userSchema.methods.hasPassword = function () {
+  return !!this.password;
+};
+
+// The linked account for a provider, if any
+userSchema.methods.getAuthProvider = function (provider) {
+  return (this.authProviders || []).find(
+    (linked) => linked.provider === provider
+  );
+};
+
+// Number of ways the user can sign in (password plus linked providers)
+userSchema.methods.countLoginMethods = function () {
+  return (this.hasPassword() ? 1 : 0) + (this.authProviders || []).length;
+};
+
+// Whether the account is permanently banned
+userSchema.methods.isBanned = function () {
+  return !!this.moderation?.bannedAt;
+};
+
+// Whether the account is serving a suspension that hasn't expired yet
+userSchema.methods.isSuspended = function () {
+  const until = this.moderation?.suspendedUntil;
+  return !!until && until.getTime() > Date.now();
+};
+
+// Whether the account's new content is hidden from everyone else
+userSchema.methods.isShadowbanned = function () {
+  return !!this.moderation?.shadowbannedAt;
+};
+
+// Whether this account must have two-factor authentication enabled
+userSchema.methods.requiresTwoFactor = function () {
+  return (
+    this.twoFactorRequired ||
+    (REQUIRE_ADMIN_2FA && TWO_FACTOR_REQUIRED_ROLES.includes(this.role))
+  );
+};
+
+// Hash an emailed token for storage and lookup
+userSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Each provider account can only be linked to one user
+userSchema.index(
+  { "authProviders.provider": 1, "authProviders.providerId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "authProviders.providerId": { $exists: true } },
+  }
+);
+
 const User = mongoose.model("User", userSchema);
 
 module.exports = User;
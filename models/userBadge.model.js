@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+const { BADGES } = require("../config/badges");
+
+const userBadgeSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Badge ID from config/badges.js
+    badge: {
+      type: String,
+      enum: BADGES.map((badge) => badge.id),
+      required: true,
+    },
+    awardedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Each badge is awarded at most once per user
+userBadgeSchema.index({ user: 1, badge: 1 }, { unique: true });
+
+const UserBadge = mongoose.model("UserBadge", userBadgeSchema);
+
+module.exports = UserBadge;
@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+
+// Per-user preferences. Users without a saved document get the schema defaults.
+const userSettingsSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    // Which events notify the user
+    notifications: {
+      replies: {
+        type: Boolean,
+        default: true,
+      },
+      mentions: {
+        type: Boolean,
+        default: true,
+      },
+      likes: {
+        type: Boolean,
+        default: true,
+      },
+      priceAlerts: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    // How notifications are delivered
+    delivery: {
+      inApp: {
+        type: Boolean,
+        default: true,
+      },
+      emailDigest: {
+        type: Boolean,
+        default: false,
+      },
+      emailDigestFrequency: {
+        type: String,
+        enum: ["daily", "weekly"],
+        default: "daily",
+      },
+    },
+    privacy: {
+      // Private profiles only show their activity to the owner
+      profilePublic: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    posting: {
+      // Post comments anonymously unless the client says otherwise
+      defaultAnonymous: {
+        type: Boolean,
+        default: false,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A user's settings, falling back to the defaults if none are saved
+userSettingsSchema.statics.getForUser = async function (userId) {
+  return (await this.findOne({ user: userId })) || new this({ user: userId });
+};
+
+// Whether a viewer can see a user's profile activity
+userSettingsSchema.statics.isProfileVisible = async function (
+  userId,
+  viewerId
+) {
+  if (viewerId && userId.toString() === viewerId.toString()) return true;
+
+  const settings = await this.findOne({ user: userId })
+    .select("privacy")
+    .lean();
+  return settings?.privacy?.profilePublic !== false;
+};
+
+const UserSettings = mongoose.model("UserSettings", userSettingsSchema);
+
+module.exports = UserSettings;
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// How long a username stays reserved for its previous owner after a change
+const USERNAME_RESERVATION_DAYS = parseInt(
+  process.env.USERNAME_RESERVATION_DAYS || "90"
+);
+
+// A record of a user changing their username. Old names stay reserved for a
+// while (so nobody can impersonate the previous owner) and links to them
+// redirect to the user's current profile.
+const usernameHistorySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    oldUsername: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    newUsername: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Until then, nobody else can take oldUsername
+    reservedUntil: {
+      type: Date,
+      default: () =>
+        new Date(Date.now() + USERNAME_RESERVATION_DAYS * 24 * 60 * 60 * 1000),
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+usernameHistorySchema.index({ user: 1, changedAt: -1 });
+usernameHistorySchema.index({ oldUsername: 1, changedAt: -1 });
+
+// Whether a username is reserved for someone other than the given user
+usernameHistorySchema.statics.isReserved = async function (
+  username,
+  userId = null
+) {
+  const query = {
+    oldUsername: username,
+    reservedUntil: { $gt: new Date() },
+  };
+  if (userId) query.user = { $ne: userId };
+
+  return !!(await this.exists(query));
+};
+
+// The user who most recently gave up a username, if any
+usernameHistorySchema.statics.findLatestOwner = async function (username) {
+  const entry = await this.findOne({ oldUsername: username })
+    .sort({ changedAt: -1 })
+    .select("user")
+    .lean();
+  return entry ? entry.user : null;
+};
+
+const UsernameHistory = mongoose.model(
+  "UsernameHistory",
+  usernameHistorySchema
+);
+
+module.exports = UsernameHistory;
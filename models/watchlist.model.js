@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const { WATCHLIST_LIMITS } = require("../config/watchlists");
+
+// A user's private, named list of stocks. Entries are kept in display order.
+const watchlistSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: WATCHLIST_LIMITS.maxNameLength,
+    },
+    entries: [
+      {
+        _id: false,
+        stock: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Stock",
+          required: true,
+        },
+        // Private note about the stock (only the list owner sees it)
+        note: {
+          type: String,
+          trim: true,
+          maxlength: WATCHLIST_LIMITS.maxNoteLength,
+          default: "",
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+watchlistSchema.index({ user: 1, createdAt: 1 });
+
+// Position of a stock in the list (-1 if it isn't listed). Works whether or
+// not the entries are populated.
+watchlistSchema.methods.findEntryIndex = function (stockId) {
+  return this.entries.findIndex(
+    (entry) => entry.stock._id.toString() === stockId.toString()
+  );
+};
+
+const Watchlist = mongoose.model("Watchlist", watchlistSchema);
+
+module.exports = Watchlist;
@@ -2,15 +2,36 @@ const express = require("express");
 const router = express.Router();
 const articleController = require("../controllers/article.controller");
 const authMiddleware = require("../middleware/auth.middleware");
+const { requirePermission } = require("../middleware/permission.middleware");
 
 // Public routes
 router.get("/all", articleController.getAllArticles);
 router.get("/:id", articleController.getArticleById);
 
-// Protected routes (admin only)
-router.get("/admin/all", authMiddleware, articleController.getAllArticlesAdmin);
-router.post("/", authMiddleware, articleController.createArticle);
-router.put("/:id", authMiddleware, articleController.updateArticle);
-router.delete("/:id", authMiddleware, articleController.deleteArticle);
+// Protected routes (permission-based; requirePermission also enforces 2FA enrollment)
+router.get(
+  "/admin/all",
+  authMiddleware,
+  requirePermission("articles:read_all"),
+  articleController.getAllArticlesAdmin
+);
+router.post(
+  "/",
+  authMiddleware,
+  requirePermission("articles:publish"),
+  articleController.createArticle
+);
+router.put(
+  "/:id",
+  authMiddleware,
+  requirePermission("articles:publish"),
+  articleController.updateArticle
+);
+router.delete(
+  "/:id",
+  authMiddleware,
+  requirePermission("articles:delete"),
+  articleController.deleteArticle
+);
 
 module.exports = router;
@@ -1,8 +1,20 @@
 const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/auth.controller");
+const twoFactorController = require("../controllers/twoFactor.controller");
+const authProviderController = require("../controllers/authProvider.controller");
 const authMiddleware = require("../middleware/auth.middleware");
 const passport = require("passport");
+const {
+  AUTH_PROVIDERS,
+  getEnabledAuthProviders,
+} = require("../config/authProviders");
+const {
+  createOAuthState,
+  verifyOAuthState,
+  clearOAuthStateCookie,
+} = require("../utils/oauthState");
+const { sendOAuthResponse } = require("../utils/oauthResponse");
 
 // Register a new user
 router.post("/register", authController.register);
@@ -10,22 +22,112 @@ router.post("/register", authController.register);
 // Login user
 router.post("/login", authController.login);
 
+// Cancel a pending account deletion
+router.post("/restore-account", authController.restoreAccount);
+
+// Second login step for accounts with 2FA enabled
+router.post("/login/2fa", twoFactorController.verifyLogin);
+
+// Exchange a refresh token for a new token pair
+router.post("/refresh", authController.refreshToken);
+
+// Log out the current session
+router.post("/logout", authController.logout);
+
+// Log out all sessions on every device (protected route)
+router.post("/logout-all", authMiddleware, authController.logoutAll);
+
+// Password reset
+router.post("/forgot-password", authController.forgotPassword);
+router.post("/reset-password", authController.resetPassword);
+
+// Set a first password (provider-only accounts) or change it (protected route)
+router.post("/set-password", authMiddleware, authController.setPassword);
+
+// Linked login providers (protected routes)
+router.get("/providers", authMiddleware, authProviderController.getProviders);
+router.post(
+  "/providers/:provider/link",
+  authMiddleware,
+  authProviderController.startLink
+);
+router.delete(
+  "/providers/:provider",
+  authMiddleware,
+  authProviderController.unlinkProvider
+);
+
+// Email verification
+router.get("/verify-email", authController.verifyEmail);
+router.post(
+  "/resend-verification",
+  authMiddleware,
+  authController.resendVerification
+);
+
+// Two-factor authentication management (protected routes)
+router.post("/2fa/setup", authMiddleware, twoFactorController.setup);
+router.post("/2fa/confirm", authMiddleware, twoFactorController.confirm);
+router.post("/2fa/disable", authMiddleware, twoFactorController.disable);
+router.post(
+  "/2fa/recovery-codes",
+  authMiddleware,
+  twoFactorController.regenerateRecoveryCodes
+);
+
 // Get current user (protected route)
 router.get("/me", authMiddleware, authController.getCurrentUser);
 
 // Update username (protected route)
 router.put("/username", authMiddleware, authController.updateUsername);
 
-// Google OAuth routes
-router.get(
-  "/google",
-  passport.authenticate("google", { scope: ["profile", "email"] })
-);
+// OAuth login routes for each configured provider, e.g. /google and
+// /google/callback (?link=<token> links the provider to a signed-in account)
+const enabledProviders = getEnabledAuthProviders();
+const providerPath = `/:provider(${enabledProviders.join("|")})`;
 
-router.get(
-  "/google/callback",
-  passport.authenticate("google", { session: false }),
-  authController.googleCallback
-);
+if (enabledProviders.length > 0) {
+  router.get(providerPath, (req, res, next) => {
+    const { state, error } = createOAuthState(
+      req,
+      res,
+      req.params.provider,
+      req.query.link
+    );
+    if (error) return sendOAuthResponse(res, null, error);
+
+    passport.authenticate(req.params.provider, {
+      scope: AUTH_PROVIDERS[req.params.provider].scope,
+      state,
+    })(req, res, next);
+  });
+
+  router.get(
+    `${providerPath}/callback`,
+    (req, res, next) => {
+      // Only finish flows started in this browser
+      req.oauthState = verifyOAuthState(req, req.params.provider);
+      clearOAuthStateCookie(res);
+      if (!req.oauthState) {
+        req.user = null;
+        req.authInfo = { message: "Login request is invalid or has expired" };
+        return next();
+      }
+
+      // Custom callback so failures reach oauthCallback with their message
+      passport.authenticate(
+        req.params.provider,
+        { session: false },
+        (err, user, info) => {
+          if (err) return next(err);
+          req.user = user || null;
+          req.authInfo = info;
+          next();
+        }
+      )(req, res, next);
+    },
+    authController.oauthCallback
+  );
+}
 
 module.exports = router;
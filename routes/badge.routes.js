@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const badgeController = require("../controllers/badge.controller");
+
+// Badge catalogue (public)
+router.get("/", badgeController.getBadges);
+
+module.exports = router;
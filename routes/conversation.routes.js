@@ -1,26 +1,10 @@
 const router = require("express").Router();
 const conversationController = require("../controllers/conversation.controller");
 const authMiddleware = require("../middleware/auth.middleware");
-
-// Optional auth middleware - sets req.userId if token is valid, but doesn't require it
-const optionalAuthMiddleware = (req, res, next) => {
-  const token = req.header("Authorization")?.replace("Bearer ", "");
-
-  if (token) {
-    try {
-      const jwt = require("jsonwebtoken");
-      const decoded = jwt.verify(
-        token,
-        process.env.JWT_SECRET || "your-secret-key"
-      );
-      req.userId = decoded.id;
-    } catch (error) {
-      // Token is invalid, but we continue without setting userId
-    }
-  }
-
-  next();
-};
+const { optionalAuthMiddleware } = require("../middleware/auth.middleware");
+const {
+  requireVerifiedEmail,
+} = require("../middleware/emailVerified.middleware");
 
 // Get all conversations
 router.get(
@@ -36,8 +20,13 @@ router.get(
   conversationController.getConversation
 );
 
-// Create a new conversation (requires auth)
-router.post("/", authMiddleware, conversationController.createConversation);
+// Create a new conversation (requires auth and a verified email)
+router.post(
+  "/",
+  authMiddleware,
+  requireVerifiedEmail("conversations"),
+  conversationController.createConversation
+);
 
 // Get comments for a conversation
 router.get(
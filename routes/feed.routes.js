@@ -0,0 +1,9 @@
+const express = require("express");
+const router = express.Router();
+const feedController = require("../controllers/feed.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+
+// Activity from followed users (protected)
+router.get("/", authMiddleware, feedController.getFeed);
+
+module.exports = router;
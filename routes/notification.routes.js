@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const notificationController = require("../controllers/notification.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+
+// The current user's notifications (protected)
+router.get("/", authMiddleware, notificationController.getMyNotifications);
+router.post(
+  "/read",
+  authMiddleware,
+  notificationController.markAllNotificationsRead
+);
+router.post(
+  "/:id/read",
+  authMiddleware,
+  notificationController.markNotificationRead
+);
+
+module.exports = router;
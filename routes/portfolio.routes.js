@@ -2,45 +2,34 @@ const express = require("express");
 const router = express.Router();
 const portfolioController = require("../controllers/portfolio.controller");
 const authMiddleware = require("../middleware/auth.middleware");
+const { optionalAuthMiddleware } = require("../middleware/auth.middleware");
 const { uploadMiddleware } = require("../middleware/upload.middleware");
+const {
+  requireVerifiedEmail,
+} = require("../middleware/emailVerified.middleware");
 
-// Optional auth middleware - sets req.userId if token is valid, but doesn't require it
-const optionalAuthMiddleware = (req, res, next) => {
-  const token = req.header("Authorization")?.replace("Bearer ", "");
-
-  if (token) {
-    try {
-      const jwt = require("jsonwebtoken");
-      const decoded = jwt.verify(
-        token,
-        process.env.JWT_SECRET || "your-secret-key"
-      );
-      req.userId = decoded.id; // Use 'id' not 'userId' to match the JWT payload
-    } catch (error) {
-      // Token is invalid, but we continue without setting userId
-      // This allows anonymous interactions
-    }
-  }
-
-  next();
-};
-
-// File upload endpoint (protected - requires authentication)
+// File upload endpoint (protected - requires authentication and a verified email)
 router.post(
   "/upload",
   authMiddleware,
+  requireVerifiedEmail("portfolios"),
   uploadMiddleware,
   portfolioController.createPortfolio
 );
 
-// Public routes
-router.get("/", portfolioController.getAllPortfolios);
-router.get("/:id", portfolioController.getPortfolioById);
+// Public routes (signed-in authors also see their own shadowbanned posts)
+router.get("/", optionalAuthMiddleware, portfolioController.getAllPortfolios);
+router.get(
+  "/:id",
+  optionalAuthMiddleware,
+  portfolioController.getPortfolioById
+);
 
 // Protected routes (require authentication)
 router.post(
   "/",
   authMiddleware,
+  requireVerifiedEmail("portfolios"),
   uploadMiddleware,
   portfolioController.createPortfolio
 );
@@ -59,8 +48,12 @@ router.delete(
 );
 
 // Comment routes (follow comment.routes.js patterns)
-// Get comments for a portfolio (public)
-router.get("/:id/comments", portfolioController.getPortfolioComments);
+// Get comments for a portfolio (public; hides blocked/muted authors when signed in)
+router.get(
+  "/:id/comments",
+  optionalAuthMiddleware,
+  portfolioController.getPortfolioComments
+);
 
 // Create comment (public, supports anonymous)
 router.post(
@@ -0,0 +1,13 @@
+const express = require("express");
+const router = express.Router();
+const priceAlertController = require("../controllers/priceAlert.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+
+// Price alerts are private to their owner (protected)
+router.get("/", authMiddleware, priceAlertController.getMyAlerts);
+router.post("/", authMiddleware, priceAlertController.createAlert);
+router.get("/:id", authMiddleware, priceAlertController.getAlert);
+router.put("/:id", authMiddleware, priceAlertController.updateAlert);
+router.delete("/:id", authMiddleware, priceAlertController.deleteAlert);
+
+module.exports = router;
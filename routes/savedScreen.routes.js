@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+const savedScreenController = require("../controllers/savedScreen.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const { optionalAuthMiddleware } = require("../middleware/auth.middleware");
+
+// Public routes (private screens are only visible to their author)
+router.get("/popular", savedScreenController.getPopularScreens);
+router.get("/mine", authMiddleware, savedScreenController.getMyScreens);
+router.get("/:slug", optionalAuthMiddleware, savedScreenController.getScreen);
+router.get(
+  "/:slug/results",
+  optionalAuthMiddleware,
+  savedScreenController.runScreen
+);
+
+// Protected routes
+router.post("/", authMiddleware, savedScreenController.createScreen);
+router.post("/:slug/fork", authMiddleware, savedScreenController.forkScreen);
+router.put("/:slug", authMiddleware, savedScreenController.updateScreen);
+router.delete("/:slug", authMiddleware, savedScreenController.deleteScreen);
+
+module.exports = router;
@@ -2,44 +2,51 @@ const express = require("express");
 const router = express.Router();
 const stockController = require("../controllers/stock.controller");
 const authMiddleware = require("../middleware/auth.middleware");
-
-// Optional auth middleware - sets req.userId if token is valid, but doesn't require it
-const optionalAuthMiddleware = (req, res, next) => {
-  const token = req.header("Authorization")?.replace("Bearer ", "");
-
-  if (token) {
-    try {
-      const jwt = require("jsonwebtoken");
-      const decoded = jwt.verify(
-        token,
-        process.env.JWT_SECRET || "your-secret-key"
-      );
-      req.userId = decoded.id; // Use 'id' not 'userId' to match the JWT payload
-    } catch (error) {
-      // Token is invalid, but we continue without setting userId
-      // This allows anonymous interactions
-    }
-  }
-
-  next();
-};
+const { optionalAuthMiddleware } = require("../middleware/auth.middleware");
+const { requirePermission } = require("../middleware/permission.middleware");
 
 // Public routes
 router.get("/", stockController.getAllStocks);
+router.get("/screener", stockController.screenStocks);
 router.get("/symbol/:symbol", stockController.getStockBySymbol); // New endpoint for symbol lookup
+router.get("/symbol/:symbol/history", stockController.getStockHistory);
+router.get(
+  "/symbol/:symbol/sentiment",
+  optionalAuthMiddleware,
+  stockController.getStockSentiment
+);
 router.get("/:id", stockController.getStockById);
 
-// Protected routes
-router.post("/", authMiddleware, stockController.createStock);
-router.put("/:id", authMiddleware, stockController.updateStock);
-router.delete("/:id", authMiddleware, stockController.deleteStock);
-
-// Like/dislike routes (public, but with optional auth to track user interactions)
-router.post("/:id/like", optionalAuthMiddleware, stockController.likeStock);
+// Protected routes (permission-based)
 router.post(
-  "/:id/dislike",
+  "/",
+  authMiddleware,
+  requirePermission("stocks:create"),
+  stockController.createStock
+);
+router.put(
+  "/:id",
+  authMiddleware,
+  requirePermission("stocks:update"),
+  stockController.updateStock
+);
+router.delete(
+  "/:id",
+  authMiddleware,
+  requirePermission("stocks:delete"),
+  stockController.deleteStock
+);
+
+// Sentiment voting (public, but with optional auth to track user votes)
+router.put(
+  "/:id/sentiment",
+  optionalAuthMiddleware,
+  stockController.voteStockSentiment
+);
+router.delete(
+  "/:id/sentiment",
   optionalAuthMiddleware,
-  stockController.dislikeStock
+  stockController.removeStockSentimentVote
 );
 
 // Get stock news
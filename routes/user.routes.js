@@ -0,0 +1,201 @@
+const express = require("express");
+const router = express.Router();
+const userController = require("../controllers/user.controller");
+const profileController = require("../controllers/profile.controller");
+const followController = require("../controllers/follow.controller");
+const badgeController = require("../controllers/badge.controller");
+const blockController = require("../controllers/block.controller");
+const accountController = require("../controllers/account.controller");
+const apiKeyController = require("../controllers/apiKey.controller");
+const settingsController = require("../controllers/settings.controller");
+const moderationController = require("../controllers/moderation.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const { optionalAuthMiddleware } = require("../middleware/auth.middleware");
+const { requirePermission } = require("../middleware/permission.middleware");
+const { uploadMiddleware } = require("../middleware/upload.middleware");
+const { rejectApiKeyAuth } = require("../middleware/apiKey.middleware");
+const {
+  redirectOldUsername,
+} = require("../middleware/usernameRedirect.middleware");
+
+// User management (requires users:manage)
+router.get(
+  "/",
+  authMiddleware,
+  requirePermission("users:manage"),
+  userController.listUsers
+);
+router.get(
+  "/roles",
+  authMiddleware,
+  requirePermission("users:manage"),
+  userController.getRoles
+);
+router.put(
+  "/:id/role",
+  authMiddleware,
+  requirePermission("users:manage"),
+  userController.updateUserRole
+);
+router.post(
+  "/:id/unlock",
+  authMiddleware,
+  requirePermission("users:manage"),
+  userController.unlockUser
+);
+
+// Account moderation (requires users:moderate)
+router.get(
+  "/:id/moderation",
+  authMiddleware,
+  requirePermission("users:moderate"),
+  moderationController.getModerationHistory
+);
+router.post(
+  "/:id/suspend",
+  authMiddleware,
+  requirePermission("users:moderate"),
+  moderationController.suspendUser
+);
+router.delete(
+  "/:id/suspend",
+  authMiddleware,
+  requirePermission("users:moderate"),
+  moderationController.unsuspendUser
+);
+router.post(
+  "/:id/ban",
+  authMiddleware,
+  requirePermission("users:moderate"),
+  moderationController.banUser
+);
+router.delete(
+  "/:id/ban",
+  authMiddleware,
+  requirePermission("users:moderate"),
+  moderationController.unbanUser
+);
+router.post(
+  "/:id/shadowban",
+  authMiddleware,
+  requirePermission("users:moderate"),
+  moderationController.shadowbanUser
+);
+router.delete(
+  "/:id/shadowban",
+  authMiddleware,
+  requirePermission("users:moderate"),
+  moderationController.unshadowbanUser
+);
+
+// Current user's profile (protected, declared before the :username routes)
+router.put("/me/profile", authMiddleware, profileController.updateMyProfile);
+router.put(
+  "/me/avatar",
+  authMiddleware,
+  uploadMiddleware,
+  profileController.uploadAvatar
+);
+router.delete("/me/avatar", authMiddleware, profileController.deleteAvatar);
+router.put(
+  "/me/banner",
+  authMiddleware,
+  uploadMiddleware,
+  profileController.uploadBanner
+);
+router.delete("/me/banner", authMiddleware, profileController.deleteBanner);
+router.get("/me/blocks", authMiddleware, blockController.getMyBlocks);
+router.get("/me/settings", authMiddleware, settingsController.getMySettings);
+router.put("/me/settings", authMiddleware, settingsController.updateMySettings);
+router.get(
+  "/me/export",
+  authMiddleware,
+  rejectApiKeyAuth,
+  accountController.exportMyData
+);
+router.delete(
+  "/me",
+  authMiddleware,
+  rejectApiKeyAuth,
+  accountController.deleteMyAccount
+);
+
+// Personal API keys (can't be managed with an API key)
+router.get(
+  "/me/api-keys",
+  authMiddleware,
+  rejectApiKeyAuth,
+  apiKeyController.listApiKeys
+);
+router.post(
+  "/me/api-keys",
+  authMiddleware,
+  rejectApiKeyAuth,
+  apiKeyController.createApiKey
+);
+router.delete(
+  "/me/api-keys/:id",
+  authMiddleware,
+  rejectApiKeyAuth,
+  apiKeyController.revokeApiKey
+);
+
+// Public profiles (signed-in users also see their own shadowbanned content
+// and private profile; old usernames redirect to the current one)
+router.get(
+  "/:username",
+  optionalAuthMiddleware,
+  redirectOldUsername,
+  profileController.getProfile
+);
+router.get(
+  "/:username/comments",
+  optionalAuthMiddleware,
+  redirectOldUsername,
+  profileController.getProfileComments
+);
+router.get(
+  "/:username/conversations",
+  optionalAuthMiddleware,
+  redirectOldUsername,
+  profileController.getProfileConversations
+);
+router.get(
+  "/:username/portfolios",
+  optionalAuthMiddleware,
+  redirectOldUsername,
+  profileController.getProfilePortfolios
+);
+router.get(
+  "/:username/badges",
+  redirectOldUsername,
+  badgeController.getUserBadges
+);
+
+// Follow graph
+router.post("/:username/follow", authMiddleware, followController.followUser);
+router.delete(
+  "/:username/follow",
+  authMiddleware,
+  followController.unfollowUser
+);
+router.get(
+  "/:username/followers",
+  optionalAuthMiddleware,
+  redirectOldUsername,
+  followController.getFollowers
+);
+router.get(
+  "/:username/following",
+  optionalAuthMiddleware,
+  redirectOldUsername,
+  followController.getFollowing
+);
+
+// Blocking and muting
+router.post("/:username/block", authMiddleware, blockController.blockUser);
+router.delete("/:username/block", authMiddleware, blockController.unblockUser);
+router.post("/:username/mute", authMiddleware, blockController.muteUser);
+router.delete("/:username/mute", authMiddleware, blockController.unmuteUser);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require("express");
+const router = express.Router();
+const watchlistController = require("../controllers/watchlist.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+
+// Watchlists are private to their owner (protected)
+router.get("/", authMiddleware, watchlistController.getMyWatchlists);
+router.post("/", authMiddleware, watchlistController.createWatchlist);
+router.get("/:id", authMiddleware, watchlistController.getWatchlist);
+router.put("/:id", authMiddleware, watchlistController.updateWatchlist);
+router.delete("/:id", authMiddleware, watchlistController.deleteWatchlist);
+
+// Current price, change and comment count for every listed stock
+router.get(
+  "/:id/quotes",
+  authMiddleware,
+  watchlistController.getWatchlistQuotes
+);
+
+// Entries (stocks are addressed by symbol)
+router.put("/:id/order", authMiddleware, watchlistController.reorderWatchlist);
+router.post(
+  "/:id/entries",
+  authMiddleware,
+  watchlistController.addWatchlistEntry
+);
+router.put(
+  "/:id/entries/:symbol",
+  authMiddleware,
+  watchlistController.updateWatchlistEntry
+);
+router.delete(
+  "/:id/entries/:symbol",
+  authMiddleware,
+  watchlistController.removeWatchlistEntry
+);
+
+module.exports = router;
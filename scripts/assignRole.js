@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const { ROLES } = require("../config/permissions");
+require("dotenv").config();
+
+const connect = () =>
+  mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/stock-forum",
+    {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    }
+  );
+
+const assignRole = async (email, role) => {
+  try {
+    await connect();
+
+    // Find and update the user
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      // Drop the legacy flag too, or it would keep making the user an admin
+      { $set: { role }, $unset: { isAdmin: "" } },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error("User not found with email:", email);
+      process.exit(1);
+    }
+
+    console.log("Successfully assigned role:", {
+      email: user.email,
+      username: user.username,
+      role: user.role,
+    });
+
+    process.exit(0);
+  } catch (error) {
+    console.error("Error:", error);
+    process.exit(1);
+  }
+};
+
+// Convert the legacy isAdmin flag into roles
+const migrateLegacyAdmins = async () => {
+  try {
+    await connect();
+
+    // Go through the raw collection so updatedAt is left alone
+    // (migrateAuthProviders.js compares it with createdAt)
+    const promoted = await User.collection.updateMany(
+      { isAdmin: true },
+      { $set: { role: "admin" }, $unset: { isAdmin: "" } }
+    );
+    const cleaned = await User.collection.updateMany(
+      { isAdmin: { $exists: true } },
+      { $unset: { isAdmin: "" } }
+    );
+    const defaulted = await User.collection.updateMany(
+      { role: { $exists: false } },
+      { $set: { role: "user" } }
+    );
+
+    console.log("Legacy admin migration complete:", {
+      promotedToAdmin: promoted.modifiedCount,
+      flagsRemoved: cleaned.modifiedCount,
+      defaultedToUser: defaulted.modifiedCount,
+    });
+
+    process.exit(0);
+  } catch (error) {
+    console.error("Error:", error);
+    process.exit(1);
+  }
+};
+
+const usage = () => {
+  console.log("Usage: node assignRole.js <email> [role]");
+  console.log("       node assignRole.js --migrate-legacy-admins");
+  console.log(`Roles: ${ROLES.join(", ")} (default: admin)`);
+};
+
+module.exports = {
+  assignRole,
+};
+
+if (require.main === module) {
+  // Get arguments from the command line
+  const [arg, role = "admin"] = process.argv.slice(2);
+
+  if (!arg) {
+    console.error("Please provide an email address");
+    usage();
+    process.exit(1);
+  }
+
+  if (arg === "--migrate-legacy-admins") {
+    migrateLegacyAdmins();
+  } else if (!ROLES.includes(role)) {
+    console.error("Invalid role:", role);
+    usage();
+    process.exit(1);
+  } else {
+    assignRole(arg, role);
+  }
+}
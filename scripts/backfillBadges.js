@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const { evaluateBadges } = require("../utils/badges");
+require("dotenv").config();
+
+// Award every badge existing users already qualify for
+async function backfillBadges() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/stock-forum"
+    );
+    console.log("Connected to MongoDB");
+
+    let usersChecked = 0;
+    let badgesAwarded = 0;
+
+    const cursor = User.find().select("_id username").lean().cursor();
+    for await (const user of cursor) {
+      const awarded = await evaluateBadges(user._id);
+      usersChecked += 1;
+      badgesAwarded += awarded.length;
+
+      if (awarded.length > 0) {
+        console.log(`${user.username}: ${awarded.join(", ")}`);
+      }
+    }
+
+    console.log(
+      `Checked ${usersChecked} users, awarded ${badgesAwarded} badges`
+    );
+    console.log("Badge backfill completed successfully");
+  } catch (error) {
+    console.error("Error backfilling badges:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+// Run the backfill
+backfillBadges();
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+require("dotenv").config();
+
+// Longest gap between creating a Google sign-up and saving it
+const GENERATED_PASSWORD_WINDOW_MS = 10 * 1000;
+
+// Move the legacy googleId field into the authProviders list
+async function migrateAuthProviders() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/stock-forum"
+    );
+    console.log("Connected to MongoDB");
+
+    // Google sign-ups were given a random password nobody knows. Drop it so
+    // those accounts count as provider-only (they can set a real password
+    // from their settings). Google sign-ins also linked existing password
+    // accounts by email, so only accounts created by the Google sign-in are
+    // touched: those never saved again after being created (a link, password
+    // change or reset would have moved updatedAt on).
+    const passwords = await User.collection.updateMany(
+      {
+        googleId: { $exists: true, $ne: null },
+        createdAt: { $type: "date" },
+        updatedAt: { $type: "date" },
+        $expr: {
+          $lte: [
+            { $subtract: ["$updatedAt", "$createdAt"] },
+            GENERATED_PASSWORD_WINDOW_MS,
+          ],
+        },
+      },
+      { $unset: { password: "" } }
+    );
+    console.log(
+      `Removed generated passwords from ${passwords.modifiedCount} Google users`
+    );
+
+    // googleId is no longer in the schema, so go through the raw collection
+    const result = await User.collection.updateMany(
+      { googleId: { $exists: true, $ne: null } },
+      [
+        {
+          $set: {
+            authProviders: {
+              $concatArrays: [
+                { $ifNull: ["$authProviders", []] },
+                [
+                  {
+                    provider: "google",
+                    providerId: "$googleId",
+                    email: "$email",
+                    linkedAt: { $ifNull: ["$createdAt", "$$NOW"] },
+                  },
+                ],
+              ],
+            },
+          },
+        },
+        { $unset: "googleId" },
+      ]
+    );
+    console.log(`Migrated ${result.modifiedCount} Google-linked users`);
+
+    // Swap the old googleId index for the provider uniqueness one, leaving
+    // any other indexes (including ones created by hand) alone
+    if (await User.collection.indexExists("googleId_1")) {
+      await User.collection.dropIndex("googleId_1");
+    }
+    await User.createIndexes();
+
+    console.log("Auth provider migration completed successfully");
+  } catch (error) {
+    console.error("Error migrating auth providers:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+// Run the migration
+migrateAuthProviders();
@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+const Stock = require("../models/stock.model");
+const SentimentVote = require("../models/sentimentVote.model");
+const SavedScreen = require("../models/savedScreen.model");
+const { recordSentimentSnapshot } = require("../utils/sentiment");
+require("dotenv").config();
+
+// Who cast a legacy vote: user IDs were stored as ObjectIds, anonymous
+// voters by IP string
+const toVoter = (id) =>
+  /^[0-9a-f]{24}$/i.test(id.toString())
+    ? { user: new mongoose.Types.ObjectId(id.toString()) }
+    : { ip: id.toString() };
+
+// Move the legacy likedBy/dislikedBy arrays on stocks into sentiment votes
+async function migrateStockSentiment() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/stock-forum"
+    );
+    console.log("Connected to MongoDB");
+
+    // Build the vote indexes first so re-runs can't create duplicates
+    await SentimentVote.createIndexes();
+
+    // The vote arrays are no longer in the schema, so go through the raw collection
+    const stocks = await Stock.collection
+      .find({
+        $or: [
+          { likedBy: { $exists: true } },
+          { dislikedBy: { $exists: true } },
+        ],
+      })
+      .project({ likedBy: 1, dislikedBy: 1 })
+      .toArray();
+    console.log(`Found ${stocks.length} stocks with legacy votes`);
+
+    let votesMigrated = 0;
+
+    for (const stock of stocks) {
+      const legacyVotes = [
+        ...(stock.likedBy || []).map((id) => [id, "bullish"]),
+        ...(stock.dislikedBy || []).map((id) => [id, "bearish"]),
+      ].filter(([id]) => id);
+
+      // Upserts leave votes already migrated (or cast since) alone
+      if (legacyVotes.length > 0) {
+        const result = await SentimentVote.bulkWrite(
+          legacyVotes.map(([id, sentiment]) => ({
+            updateOne: {
+              filter: { stock: stock._id, ...toVoter(id) },
+              update: { $setOnInsert: { sentiment } },
+              upsert: true,
+            },
+          }))
+        );
+        votesMigrated += result.upsertedCount;
+      }
+
+      // Recount from the vote collection and drop the legacy fields
+      const [bullishVotes, bearishVotes] = await Promise.all([
+        SentimentVote.countDocuments({
+          stock: stock._id,
+          sentiment: "bullish",
+        }),
+        SentimentVote.countDocuments({
+          stock: stock._id,
+          sentiment: "bearish",
+        }),
+      ]);
+      await Stock.collection.updateOne(
+        { _id: stock._id },
+        {
+          $set: { bullishVotes, bearishVotes },
+          $unset: { likedBy: "", dislikedBy: "", likes: "", dislikes: "" },
+        }
+      );
+
+      // Start the stock's sentiment history from today's tallies
+      await recordSentimentSnapshot({
+        _id: stock._id,
+        bullishVotes,
+        bearishVotes,
+      });
+    }
+    console.log(`Migrated ${votesMigrated} votes`);
+
+    // Stocks without legacy arrays just need the new counters
+    const counters = await Stock.collection.updateMany(
+      { bullishVotes: { $exists: false } },
+      {
+        $set: { bullishVotes: 0, bearishVotes: 0 },
+        $unset: { likes: "", dislikes: "" },
+      }
+    );
+    console.log(`Reset counters on ${counters.modifiedCount} other stocks`);
+
+    // Saved screens sorted by likes now sort by bullish votes
+    const screens = await SavedScreen.find({
+      "criteria.sort": /(^|,)[-+]?likes(,|$)/,
+    });
+    for (const screen of screens) {
+      screen.criteria = {
+        ...screen.criteria,
+        sort: screen.criteria.sort
+          .split(",")
+          .map((key) => key.replace(/^([-+]?)likes$/, "$1bullishVotes"))
+          .join(","),
+      };
+      await screen.save();
+    }
+    console.log(`Updated the sort on ${screens.length} saved screens`);
+
+    // Replace the old likes index with the sentiment ones, leaving any other
+    // indexes (including ones created by hand) alone
+    if (await Stock.collection.indexExists("likes_-1")) {
+      await Stock.collection.dropIndex("likes_-1");
+    }
+    await Stock.createIndexes();
+
+    console.log("Stock sentiment migration completed successfully");
+  } catch (error) {
+    console.error("Error migrating stock sentiment:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+// Run the migration
+migrateStockSentiment();
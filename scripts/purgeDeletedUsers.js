@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+const { purgeDeletedUsers } = require("../utils/accountDeletion");
+require("dotenv").config();
+
+// Permanently remove accounts whose deletion grace period has ended
+async function run() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/stock-forum"
+    );
+    console.log("Connected to MongoDB");
+
+    const purged = await purgeDeletedUsers();
+    console.log(`Permanently deleted ${purged} accounts`);
+  } catch (error) {
+    console.error("Error purging deleted users:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+// Run the purge
+run();
@@ -0,0 +1,148 @@
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const Comment = require("../models/comment.model");
+const Conversation = require("../models/conversation.model");
+const PortfolioVote = require("../models/portfolioVote.model");
+const ReputationEvent = require("../models/reputationEvent.model");
+const { REPUTATION_ACTIONS } = require("../config/reputation");
+require("dotenv").config();
+
+// Add points for a user to the running totals
+const credit = (totals, userId, action, count) => {
+  if (!userId || !count) return;
+  const key = userId.toString();
+  totals.set(
+    key,
+    (totals.get(key) || 0) + REPUTATION_ACTIONS[action].points * count
+  );
+};
+
+// Votes from signed-in users other than the author (anonymous votes and
+// votes on your own content earn nothing)
+const countedVotes = (field) => ({
+  $size: {
+    $filter: {
+      input: { $ifNull: [field, []] },
+      cond: { $ne: ["$$this", "$author"] },
+    },
+  },
+});
+
+// Rebuild every user's reputation from the votes stored on their content
+async function computeTotals() {
+  const totals = new Map();
+
+  const comments = await Comment.aggregate([
+    { $match: { author: { $ne: null } } },
+    {
+      $group: {
+        _id: "$author",
+        likes: { $sum: countedVotes("$likedBy") },
+        dislikes: { $sum: countedVotes("$dislikedBy") },
+      },
+    },
+  ]);
+  comments.forEach((row) => {
+    credit(totals, row._id, "comment_like", row.likes);
+    credit(totals, row._id, "comment_dislike", row.dislikes);
+  });
+
+  const conversations = await Conversation.aggregate([
+    {
+      $group: {
+        _id: "$author",
+        likes: { $sum: countedVotes("$likedBy") },
+      },
+    },
+  ]);
+  conversations.forEach((row) => {
+    credit(totals, row._id, "conversation_like", row.likes);
+  });
+
+  const portfolioVotes = await PortfolioVote.aggregate([
+    {
+      $lookup: {
+        from: "portfolioposts",
+        localField: "portfolio",
+        foreignField: "_id",
+        as: "portfolio",
+      },
+    },
+    { $unwind: "$portfolio" },
+    { $match: { $expr: { $ne: ["$user", "$portfolio.author"] } } },
+    {
+      $group: {
+        _id: { author: "$portfolio.author", voteType: "$voteType" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  portfolioVotes.forEach((row) => {
+    credit(totals, row._id.author, `portfolio_${row._id.voteType}`, row.count);
+  });
+
+  return totals;
+}
+
+async function recomputeReputation() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/stock-forum"
+    );
+    console.log("Connected to MongoDB");
+
+    const totals = await computeTotals();
+
+    // Current ledger balance per user
+    const ledger = await ReputationEvent.aggregate([
+      { $group: { _id: "$user", points: { $sum: "$points" } } },
+    ]);
+    const ledgerTotals = new Map(
+      ledger.map((row) => [row._id.toString(), row.points])
+    );
+
+    // Record an adjustment wherever the ledger has drifted from the data
+    const userIds = new Set([...totals.keys(), ...ledgerTotals.keys()]);
+    const adjustments = [];
+    for (const userId of userIds) {
+      const difference =
+        (totals.get(userId) || 0) - (ledgerTotals.get(userId) || 0);
+      if (difference !== 0) {
+        adjustments.push({
+          user: userId,
+          action: "recompute_adjustment",
+          points: difference,
+        });
+      }
+    }
+    if (adjustments.length > 0) {
+      await ReputationEvent.insertMany(adjustments);
+    }
+    console.log(`Recorded ${adjustments.length} ledger adjustments`);
+
+    // Reset everyone, then write the recomputed totals
+    await User.updateMany({}, { $set: { reputation: 0 } });
+    const updates = [...totals].map(([userId, reputation]) => ({
+      updateOne: {
+        filter: { _id: userId },
+        update: { $set: { reputation } },
+      },
+    }));
+    if (updates.length > 0) {
+      await User.bulkWrite(updates);
+    }
+    console.log(`Updated reputation for ${updates.length} users`);
+
+    console.log("Reputation recompute completed successfully");
+  } catch (error) {
+    console.error("Error recomputing reputation:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+// Run the recompute
+recomputeReputation();
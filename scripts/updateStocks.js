@@ -22,6 +22,7 @@ mongoose
       console.log("Stock update completed:");
       console.log(`Successfully updated: ${stats.success} stocks`);
       console.log(`Failed to update: ${stats.failed} stocks`);
+      console.log(`Price alerts triggered: ${stats.alertsTriggered}`);
     } catch (error) {
       console.error("Error updating stocks:", error);
     } finally {
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+require("dotenv").config();
+
+// Mark accounts from before email verification as verified, so the
+// unverified-account restrictions only apply to new sign-ups
+async function verifyExistingUsers() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/stock-forum"
+    );
+    console.log("Connected to MongoDB");
+
+    // New registrations are always sent a verification email, so accounts
+    // that were never sent one predate the feature (saving one since may
+    // have stored emailVerified: false from the schema default). Go through
+    // the raw collection so updatedAt is left alone.
+    const result = await User.collection.updateMany(
+      {
+        emailVerified: { $ne: true },
+        emailVerificationSentAt: { $exists: false },
+      },
+      [
+        {
+          $set: {
+            emailVerified: true,
+            emailVerifiedAt: { $ifNull: ["$createdAt", "$$NOW"] },
+          },
+        },
+      ]
+    );
+    console.log(`Marked ${result.modifiedCount} existing users as verified`);
+
+    console.log("Email verification migration completed successfully");
+  } catch (error) {
+    console.error("Error verifying existing users:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+// Run the migration
+verifyExistingUsers();
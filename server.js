@@ -20,6 +20,13 @@ const commentRoutes = require("./routes/comment.routes");
 const conversationRoutes = require("./routes/conversation.routes");
 const articleRoutes = require("./routes/article.routes");
 const portfolioRoutes = require("./routes/portfolio.routes");
+const userRoutes = require("./routes/user.routes");
+const feedRoutes = require("./routes/feed.routes");
+const badgeRoutes = require("./routes/badge.routes");
+const watchlistRoutes = require("./routes/watchlist.routes");
+const priceAlertRoutes = require("./routes/priceAlert.routes");
+const notificationRoutes = require("./routes/notification.routes");
+const savedScreenRoutes = require("./routes/savedScreen.routes");
 const sitemapRouter = require("./routes/sitemap");
 
 // Import Passport config
@@ -53,6 +60,13 @@ app.use("/api/comments", commentRoutes);
 app.use("/api/conversations", conversationRoutes);
 app.use("/api/articles", articleRoutes);
 app.use("/api/portfolios", portfolioRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/feed", feedRoutes);
+app.use("/api/badges", badgeRoutes);
+app.use("/api/watchlists", watchlistRoutes);
+app.use("/api/alerts", priceAlertRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/screens", savedScreenRoutes);
 
 // MongoDB connection
 mongoose
@@ -0,0 +1,85 @@
+const crypto = require("crypto");
+const { once } = require("events");
+const express = require("express");
+
+/**
+ * Starts a minimal OpenID Connect provider on a random local port
+ *
+ * /authorize approves straight away as the identity set with `signInAs`,
+ * /token exchanges the one-time code for an access token and /userinfo
+ * returns the identity's claims for that token.
+ *
+ * @param {Object} client - { clientId, clientSecret } the provider accepts
+ * @returns {Promise<Object>} - { url, signInAs(claims), close() }
+ */
+const startMockOidcServer = async ({ clientId, clientSecret }) => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const codes = new Map();
+  const accessTokens = new Map();
+  let identity = null;
+
+  app.get("/authorize", (req, res) => {
+    if (req.query.client_id !== clientId || !req.query.redirect_uri) {
+      return res.status(400).json({ error: "invalid_request" });
+    }
+
+    const code = crypto.randomBytes(16).toString("hex");
+    codes.set(code, { claims: identity, redirectUri: req.query.redirect_uri });
+
+    const redirect = new URL(req.query.redirect_uri);
+    redirect.searchParams.set("code", code);
+    if (req.query.state) redirect.searchParams.set("state", req.query.state);
+    res.redirect(redirect.toString());
+  });
+
+  app.post("/token", (req, res) => {
+    const { grant_type, code, redirect_uri, client_id, client_secret } =
+      req.body;
+    if (client_id !== clientId || client_secret !== clientSecret) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+
+    const grant = codes.get(code);
+    codes.delete(code);
+    if (
+      grant_type !== "authorization_code" ||
+      !grant ||
+      grant.redirectUri !== redirect_uri
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString("hex");
+    accessTokens.set(accessToken, grant.claims);
+    res.json({ access_token: accessToken, token_type: "Bearer" });
+  });
+
+  app.get("/userinfo", (req, res) => {
+    const token = req.header("Authorization")?.replace("Bearer ", "");
+    const claims = accessTokens.get(token);
+    if (!claims) {
+      return res.status(401).json({ error: "invalid_token" });
+    }
+    res.json(claims);
+  });
+
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    signInAs: (claims) => {
+      identity = claims;
+    },
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+};
+
+module.exports = {
+  startMockOidcServer,
+};
@@ -0,0 +1,327 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const express = require("express");
+const { startMockOidcServer } = require("./mockOidcServer");
+
+const CLIENT = { clientId: "stock-forum", clientSecret: "oidc-client-secret" };
+
+const JANE = {
+  sub: "oidc-jane",
+  name: "Jane Doe",
+  preferred_username: "jdoe",
+  email: "Jane@Example.com",
+  email_verified: true,
+};
+
+let provider;
+let server;
+let apiUrl;
+let User;
+let UsernameHistory;
+let Session;
+let generateAccessToken;
+
+// In-memory stand-ins for the users and reserved usernames collections
+let users;
+let reservedUsernames;
+
+const matches = (user, query) =>
+  Object.entries(query).every(([key, value]) => {
+    if (key === "authProviders.provider") {
+      return user.authProviders.some(
+        (linked) =>
+          linked.provider === value &&
+          linked.providerId === query["authProviders.providerId"]
+      );
+    }
+    if (key === "authProviders.providerId") return true;
+    return String(user.get(key)) === String(value);
+  });
+
+// Stand-in for a Mongoose query that resolves to `value`
+const queryOf = (value) => ({
+  select: () => queryOf(value),
+  lean: () => queryOf(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+});
+
+const addUser = (fields) => {
+  const user = new User(fields);
+  users.push(user);
+  return user;
+};
+
+// The popup page posts its result to the opener; pull it back out
+const readPopupResult = (html) => {
+  const match = html.match(/const data = (.+);/);
+  assert.ok(match, "response is not the OAuth popup page");
+  return JSON.parse(match[1]);
+};
+
+const readStateCookie = (response) =>
+  response.headers.get("set-cookie")?.split(";")[0];
+
+// Go through a provider login the way a browser would: start, approve at
+// the provider, then land on the callback with the cookies set at the start
+const authenticate = async (startUrl, cookie) => {
+  const start = await fetch(startUrl, {
+    redirect: "manual",
+    headers: cookie ? { cookie } : {},
+  });
+  if (start.status !== 302) {
+    return readPopupResult(await start.text());
+  }
+
+  const stateCookie = readStateCookie(start) || cookie;
+  const authorize = await fetch(start.headers.get("location"), {
+    redirect: "manual",
+  });
+  const callback = await fetch(authorize.headers.get("location"), {
+    redirect: "manual",
+    headers: stateCookie ? { cookie: stateCookie } : {},
+  });
+  return readPopupResult(await callback.text());
+};
+
+describe("OIDC sign-in", () => {
+  before(async () => {
+    provider = await startMockOidcServer(CLIENT);
+
+    const app = express();
+    server = app.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    apiUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Provider strategies are registered from the environment on load
+    Object.assign(process.env, {
+      JWT_SECRET: "test-jwt-secret",
+      API_URL: apiUrl,
+      OIDC_CLIENT_ID: CLIENT.clientId,
+      OIDC_CLIENT_SECRET: CLIENT.clientSecret,
+      OIDC_AUTHORIZATION_URL: `${provider.url}/authorize`,
+      OIDC_TOKEN_URL: `${provider.url}/token`,
+      OIDC_USERINFO_URL: `${provider.url}/userinfo`,
+    });
+    const passport = require("../config/passport");
+    app.use(express.json());
+    app.use(passport.initialize());
+    app.use("/api/auth", require("../routes/auth.routes"));
+
+    User = require("../models/user.model");
+    UsernameHistory = require("../models/usernameHistory.model");
+    Session = require("../models/session.model");
+    ({ generateAccessToken } = require("../utils/authTokens"));
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await provider.close();
+  });
+
+  beforeEach(() => {
+    users = [];
+    reservedUsernames = new Set();
+
+    mock.method(User, "findOne", (query) =>
+      queryOf(users.find((user) => matches(user, query)) || null)
+    );
+    mock.method(User, "findById", (id) =>
+      queryOf(users.find((user) => user._id.toString() === String(id)) || null)
+    );
+    mock.method(User, "exists", async (query) => {
+      const user = users.find((candidate) => matches(candidate, query));
+      return user ? { _id: user._id } : null;
+    });
+    mock.method(User.prototype, "save", async function () {
+      if (!users.includes(this)) users.push(this);
+      return this;
+    });
+    mock.method(UsernameHistory, "isReserved", async (username) =>
+      reservedUsernames.has(username)
+    );
+    mock.method(Session, "create", async (session) => session);
+    mock.method(Session, "exists", async () => ({ _id: "session" }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("signs up a new user from the provider's verified email", async () => {
+    provider.signInAs(JANE);
+
+    const result = await authenticate(`${apiUrl}/api/auth/oidc`);
+
+    assert.equal(result.type, "social_auth_success");
+    assert.ok(result.token);
+    assert.ok(result.refreshToken);
+    assert.equal(users.length, 1);
+    const [user] = users;
+    assert.equal(result.user.id, user._id.toString());
+    assert.equal(user.username, "jane_doe");
+    assert.equal(user.email, "jane@example.com");
+    assert.equal(user.emailVerified, true);
+    assert.equal(user.hasPassword(), false);
+    assert.deepEqual(
+      user.authProviders.map(({ provider, providerId }) => ({
+        provider,
+        providerId,
+      })),
+      [{ provider: "oidc", providerId: "oidc-jane" }]
+    );
+  });
+
+  it("signs an existing provider account back in", async () => {
+    const user = addUser({
+      username: "jane",
+      email: "jane@example.com",
+      authProviders: [{ provider: "oidc", providerId: "oidc-jane" }],
+    });
+    provider.signInAs(JANE);
+
+    const result = await authenticate(`${apiUrl}/api/auth/oidc`);
+
+    assert.equal(result.type, "social_auth_success");
+    assert.equal(result.user.id, user._id.toString());
+    assert.equal(users.length, 1);
+  });
+
+  it("picks a free username when the display name is taken or reserved", async () => {
+    addUser({
+      username: "jane_doe",
+      email: "other@example.com",
+      password: "x",
+    });
+    reservedUsernames.add("jane_doe_1");
+    provider.signInAs(JANE);
+
+    const result = await authenticate(`${apiUrl}/api/auth/oidc`);
+
+    assert.equal(result.type, "social_auth_success");
+    assert.equal(result.user.username, "jane_doe_2");
+  });
+
+  it("refuses accounts without a verified email", async () => {
+    provider.signInAs({ ...JANE, email_verified: false });
+
+    const result = await authenticate(`${apiUrl}/api/auth/oidc`);
+
+    assert.equal(result.type, "social_auth_error");
+    assert.match(result.error, /no verified email address/);
+    assert.equal(users.length, 0);
+  });
+
+  it("doesn't merge into an existing account with the same email", async () => {
+    addUser({ username: "jane", email: "jane@example.com", password: "x" });
+    provider.signInAs(JANE);
+
+    const result = await authenticate(`${apiUrl}/api/auth/oidc`);
+
+    assert.equal(result.type, "social_auth_error");
+    assert.match(result.error, /already exists/);
+    assert.equal(users.length, 1);
+    assert.equal(users[0].authProviders.length, 0);
+  });
+
+  it("rejects a callback opened in a browser that didn't start the login", async () => {
+    provider.signInAs(JANE);
+
+    // The attacker starts a login and hands the callback URL to the victim
+    const start = await fetch(`${apiUrl}/api/auth/oidc`, {
+      redirect: "manual",
+    });
+    const authorize = await fetch(start.headers.get("location"), {
+      redirect: "manual",
+    });
+    const callback = await fetch(authorize.headers.get("location"), {
+      redirect: "manual",
+    });
+    const result = readPopupResult(await callback.text());
+
+    assert.equal(result.type, "social_auth_error");
+    assert.match(result.error, /invalid or has expired/);
+    assert.equal(users.length, 0);
+  });
+
+  describe("linking", () => {
+    // Ask for a link URL as the signed-in user; returns it with the state cookie
+    const startLink = async (user) => {
+      const response = await fetch(`${apiUrl}/api/auth/providers/oidc/link`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${generateAccessToken(user, "session")}`,
+        },
+      });
+      assert.equal(response.status, 200);
+      const { url } = await response.json();
+      return { url, cookie: readStateCookie(response) };
+    };
+
+    it("links the provider account to the signed-in user", async () => {
+      const user = addUser({
+        username: "jane",
+        email: "jane@example.com",
+        password: "x",
+      });
+      provider.signInAs(JANE);
+
+      const { url, cookie } = await startLink(user);
+      const result = await authenticate(url, cookie);
+
+      assert.equal(result.type, "social_auth_success");
+      assert.equal(result.linked, true);
+      assert.equal(result.token, undefined);
+      assert.equal(users.length, 1);
+      assert.equal(user.getAuthProvider("oidc").providerId, "oidc-jane");
+      assert.equal(user.emailVerified, true);
+    });
+
+    it("refuses a provider account already linked to someone else", async () => {
+      addUser({
+        username: "other",
+        email: "other@example.com",
+        authProviders: [{ provider: "oidc", providerId: "oidc-jane" }],
+      });
+      const user = addUser({
+        username: "jane",
+        email: "jane@example.com",
+        password: "x",
+      });
+      provider.signInAs(JANE);
+
+      const { url, cookie } = await startLink(user);
+      const result = await authenticate(url, cookie);
+
+      assert.equal(result.type, "social_auth_error");
+      assert.match(result.error, /already linked to another user/);
+      assert.equal(user.getAuthProvider("oidc"), undefined);
+    });
+
+    it("ignores a link URL opened in another browser", async () => {
+      const user = addUser({
+        username: "jane",
+        email: "jane@example.com",
+        password: "x",
+      });
+      provider.signInAs({ ...JANE, sub: "oidc-victim" });
+
+      // The link URL is sent to someone else, without the state cookie
+      const { url } = await startLink(user);
+      const result = await authenticate(url);
+
+      assert.equal(result.type, "social_auth_error");
+      assert.match(result.error, /invalid or has expired/);
+      assert.equal(user.getAuthProvider("oidc"), undefined);
+    });
+  });
+});
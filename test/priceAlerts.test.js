@@ -0,0 +1,252 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Stock = require("../models/stock.model");
+const PriceBar = require("../models/priceBar.model");
+const PriceAlert = require("../models/priceAlert.model");
+const Notification = require("../models/notification.model");
+const UserSettings = require("../models/userSettings.model");
+const { updateStocksFromFMP } = require("../utils/stockUpdater");
+
+const USER_ID = new mongoose.Types.ObjectId();
+
+// In-memory stand-ins for the stocks, alerts, notifications and settings
+let stocks;
+let alerts;
+let notifications;
+let settings;
+
+// Quotes the fake profile source hands out, by symbol
+let quotes;
+const fetchProfile = async (symbol) => quotes[symbol];
+
+const addStock = (fields) => {
+  const stock = new Stock({
+    name: "Apple Inc.",
+    currentPrice: 100,
+    percentChange: 0,
+    ...fields,
+  });
+  stocks.push(stock);
+  return stock;
+};
+
+const addAlert = (stock, fields) => {
+  const alert = new PriceAlert({
+    user: USER_ID,
+    stock: stock._id,
+    symbol: stock.symbol,
+    ...fields,
+  });
+  alerts.push(alert);
+  return alert;
+};
+
+const matches = (doc, query) =>
+  Object.entries(query).every(
+    ([key, value]) => String(doc.get(key)) === String(value)
+  );
+
+// Each run loads fresh alert documents, as it would from the database
+const findAlerts = async (query) =>
+  alerts
+    .filter((alert) => matches(alert, query))
+    .map((alert) => PriceAlert.hydrate(alert.toObject()));
+
+// Run the updater with the given quote for AAPL
+const quote = (price, changePercentage = 0.5) => {
+  quotes = { AAPL: { price, changePercentage } };
+  return updateStocksFromFMP("test-api-key", { fetchProfile });
+};
+
+describe("price alerts", () => {
+  let stock;
+
+  beforeEach(() => {
+    stocks = [];
+    alerts = [];
+    notifications = [];
+    settings = new UserSettings({ user: USER_ID });
+
+    mock.method(console, "log", () => {});
+    mock.method(Stock, "find", async () => stocks);
+    mock.method(Stock.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(PriceBar, "updateOne", async () => ({ modifiedCount: 1 }));
+    mock.method(PriceAlert, "find", findAlerts);
+    mock.method(PriceAlert, "updateOne", async (query, update) => {
+      const alert = alerts.find((candidate) => matches(candidate, query));
+      if (!alert) return { modifiedCount: 0 };
+      alert.set(update.$set);
+      for (const [key, amount] of Object.entries(update.$inc || {})) {
+        alert.set(key, alert.get(key) + amount);
+      }
+      return { modifiedCount: 1 };
+    });
+    mock.method(Notification, "create", async (notification) => {
+      notifications.push(notification);
+      return notification;
+    });
+    mock.method(UserSettings, "getForUser", async () => settings);
+
+    stock = addStock({ symbol: "AAPL" });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("triggers an above alert when the price rises to the threshold", async () => {
+    const alert = addAlert(stock, { condition: "above", threshold: 150 });
+
+    assert.equal((await quote(149)).alertsTriggered, 0);
+    const stats = await quote(150);
+
+    assert.equal(stats.alertsTriggered, 1);
+    assert.equal(notifications.length, 1);
+    assert.equal(notifications[0].type, "price_alert");
+    assert.equal(String(notifications[0].user), String(USER_ID));
+    assert.equal(String(notifications[0].priceAlert), String(alert._id));
+    assert.match(notifications[0].message, /AAPL rose above 150 \(now 150\)/);
+    assert.equal(alert.lastTriggeredPrice, 150);
+    assert.equal(alert.triggerCount, 1);
+  });
+
+  it("triggers a below alert when the price falls to the threshold", async () => {
+    addAlert(stock, { condition: "below", threshold: 90 });
+
+    assert.equal((await quote(95)).alertsTriggered, 0);
+    const stats = await quote(89.5);
+
+    assert.equal(stats.alertsTriggered, 1);
+    assert.match(notifications[0].message, /AAPL fell below 90 \(now 89.5\)/);
+  });
+
+  it("triggers a percent_change alert on a move either way", async () => {
+    addAlert(stock, {
+      condition: "percent_change",
+      threshold: 5,
+      recurring: true,
+    });
+
+    assert.equal((await quote(104, 4.9)).alertsTriggered, 0);
+    assert.equal((await quote(94, -6)).alertsTriggered, 1);
+
+    assert.match(notifications[0].message, /AAPL moved -6.00% today/);
+  });
+
+  it("triggers a percent_change alert again on the next trading day", async () => {
+    const alert = addAlert(stock, {
+      condition: "percent_change",
+      threshold: 5,
+      recurring: true,
+    });
+
+    assert.equal((await quote(94, -6)).alertsTriggered, 1);
+    assert.equal((await quote(93, -7)).alertsTriggered, 0);
+
+    // The big move carries on into the next day
+    alert.lastTriggeredAt = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    assert.equal((await quote(88, -5.5)).alertsTriggered, 1);
+
+    assert.equal(alert.triggerCount, 2);
+    assert.equal(notifications.length, 2);
+  });
+
+  it("doesn't keep the previous day's move when the quote is flat", async () => {
+    const alert = addAlert(stock, {
+      condition: "percent_change",
+      threshold: 5,
+      recurring: true,
+    });
+
+    await quote(94, -6);
+    alert.lastTriggeredAt = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const stats = await quote(94, 0);
+
+    assert.equal(stats.alertsTriggered, 0);
+    assert.equal(stock.percentChange, 0);
+    assert.equal(alert.conditionMet, false);
+    assert.equal(notifications.length, 1);
+  });
+
+  it("deactivates a one-shot alert once it triggers", async () => {
+    const alert = addAlert(stock, { condition: "above", threshold: 150 });
+
+    await quote(160);
+    await quote(140);
+    const stats = await quote(160);
+
+    assert.equal(alert.active, false);
+    assert.equal(stats.alertsTriggered, 0);
+    assert.equal(notifications.length, 1);
+  });
+
+  it("re-arms a recurring alert once the condition stops holding", async () => {
+    const alert = addAlert(stock, {
+      condition: "above",
+      threshold: 150,
+      recurring: true,
+    });
+
+    await quote(160);
+    assert.equal(alert.active, true);
+    assert.equal(alert.conditionMet, true);
+
+    await quote(140);
+    assert.equal(alert.conditionMet, false);
+
+    assert.equal((await quote(155)).alertsTriggered, 1);
+    assert.equal(alert.triggerCount, 2);
+    assert.equal(notifications.length, 2);
+  });
+
+  it("doesn't notify again while the condition keeps holding", async () => {
+    addAlert(stock, { condition: "above", threshold: 150, recurring: true });
+
+    await quote(160);
+    const stats = await quote(170);
+
+    assert.equal(stats.alertsTriggered, 0);
+    assert.equal(notifications.length, 1);
+  });
+
+  it("doesn't notify when another run already flipped the alert", async () => {
+    const alert = addAlert(stock, { condition: "above", threshold: 150 });
+
+    // The alert is loaded before a concurrent run triggers it
+    PriceAlert.find.mock.mockImplementation(async (query) => {
+      const loaded = await findAlerts(query);
+      alert.set({ conditionMet: true, active: false });
+      return loaded;
+    });
+
+    const stats = await quote(160);
+
+    assert.equal(stats.alertsTriggered, 0);
+    assert.equal(notifications.length, 0);
+  });
+
+  it("skips the notification when price alert notifications are off", async () => {
+    const alert = addAlert(stock, { condition: "above", threshold: 150 });
+    settings.notifications.priceAlerts = false;
+
+    const stats = await quote(160);
+
+    // The alert still triggers, but nothing is delivered
+    assert.equal(stats.alertsTriggered, 1);
+    assert.equal(alert.active, false);
+    assert.equal(notifications.length, 0);
+  });
+
+  it("skips the notification when in-app delivery is off", async () => {
+    addAlert(stock, { condition: "above", threshold: 150 });
+    settings.delivery.inApp = false;
+
+    const stats = await quote(160);
+
+    assert.equal(stats.alertsTriggered, 1);
+    assert.equal(notifications.length, 0);
+  });
+});
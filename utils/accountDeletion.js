@@ -0,0 +1,289 @@
+const User = require("../models/user.model");
+const Comment = require("../models/comment.model");
+const Conversation = require("../models/conversation.model");
+const Stock = require("../models/stock.model");
+const PortfolioPost = require("../models/portfolioPost.model");
+const PortfolioVote = require("../models/portfolioVote.model");
+const PortfolioComment = require("../models/portfolioComment.model");
+const Follow = require("../models/follow.model");
+const Block = require("../models/block.model");
+const UserBadge = require("../models/userBadge.model");
+const ReputationEvent = require("../models/reputationEvent.model");
+const Session = require("../models/session.model");
+const ApiKey = require("../models/apiKey.model");
+const UsernameHistory = require("../models/usernameHistory.model");
+const UserSettings = require("../models/userSettings.model");
+const Watchlist = require("../models/watchlist.model");
+const PriceAlert = require("../models/priceAlert.model");
+const Notification = require("../models/notification.model");
+const SavedScreen = require("../models/savedScreen.model");
+const SavedScreenRun = require("../models/savedScreenRun.model");
+const SentimentVote = require("../models/sentimentVote.model");
+const ModerationAction = require("../models/moderationAction.model");
+const { deleteFromS3 } = require("./s3Upload");
+const { reverseReputation } = require("./reputation");
+const { revokeAllSessions } = require("./authTokens");
+const { unlockAccount } = require("./loginThrottle");
+const { castSentimentVote } = require("./sentiment");
+
+// Days a deleted account is kept (disabled) before it is removed for good
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(
+  process.env.ACCOUNT_DELETION_GRACE_DAYS || "30"
+);
+
+// Portfolio images are stored under the last path segment of their URL
+const getS3KeyFromUrl = (url) => {
+  if (!url) return null;
+  const urlParts = url.split("/");
+  return urlParts[urlParts.length - 1];
+};
+
+// Remove S3 objects (best effort)
+const deleteS3Keys = async (keys) => {
+  try {
+    await Promise.all(keys.filter(Boolean).map((key) => deleteFromS3(key)));
+  } catch (s3Error) {
+    console.error("Error cleaning up S3 files:", s3Error);
+  }
+};
+
+// Take back the user's likes, dislikes and votes (and the reputation they gave)
+const removeVotes = async (userId) => {
+  const [likedComments, dislikedComments, likedConversations] =
+    await Promise.all([
+      Comment.find({ likedBy: userId }).select("author").lean(),
+      Comment.find({ dislikedBy: userId }).select("author").lean(),
+      Conversation.find({ likedBy: userId }).select("author").lean(),
+    ]);
+
+  await Promise.all([
+    Comment.updateMany(
+      { likedBy: userId },
+      { $pull: { likedBy: userId }, $inc: { likes: -1 } }
+    ),
+    Comment.updateMany(
+      { dislikedBy: userId },
+      { $pull: { dislikedBy: userId }, $inc: { dislikes: -1 } }
+    ),
+    Conversation.updateMany(
+      { likedBy: userId },
+      { $pull: { likedBy: userId }, $inc: { likes: -1 } }
+    ),
+  ]);
+
+  const sentimentVotes = await SentimentVote.find({ user: userId })
+    .select("stock")
+    .lean();
+  for (const vote of sentimentVotes) {
+    await castSentimentVote({ _id: vote.stock }, { user: userId }, null);
+  }
+
+  const votes = await PortfolioVote.find({ user: userId })
+    .populate("portfolio", "author")
+    .lean();
+  for (const vote of votes) {
+    await PortfolioPost.updateOne(
+      { _id: vote.portfolio?._id },
+      { $inc: { [`${vote.voteType}s`]: -1 } }
+    );
+  }
+  await PortfolioVote.deleteMany({ user: userId });
+
+  const reversals = [
+    ...likedComments.map((comment) => ({
+      author: comment.author,
+      sourceId: comment._id,
+      action: "comment_like",
+    })),
+    ...dislikedComments.map((comment) => ({
+      author: comment.author,
+      sourceId: comment._id,
+      action: "comment_dislike",
+    })),
+    ...likedConversations.map((conversation) => ({
+      author: conversation.author,
+      sourceId: conversation._id,
+      action: "conversation_like",
+    })),
+    ...votes
+      .filter((vote) => vote.portfolio)
+      .map((vote) => ({
+        author: vote.portfolio.author,
+        sourceId: vote.portfolio._id,
+        action: `portfolio_${vote.voteType}`,
+      })),
+  ];
+  for (const reversal of reversals) {
+    await reverseReputation({ ...reversal, actor: userId });
+  }
+};
+
+// Delete the user's portfolio posts along with their images, votes and comments
+const removePortfolios = async (userId) => {
+  const portfolios = await PortfolioPost.find({ author: userId })
+    .select("imageUrl thumbnailUrl")
+    .lean();
+  const portfolioIds = portfolios.map((portfolio) => portfolio._id);
+
+  await Promise.all([
+    PortfolioPost.deleteMany({ _id: { $in: portfolioIds } }),
+    PortfolioVote.deleteMany({ portfolio: { $in: portfolioIds } }),
+    PortfolioComment.deleteMany({ portfolio: { $in: portfolioIds } }),
+  ]);
+
+  await deleteS3Keys(
+    portfolios.flatMap((portfolio) => [
+      getS3KeyFromUrl(portfolio.imageUrl),
+      getS3KeyFromUrl(portfolio.thumbnailUrl),
+    ])
+  );
+};
+
+// Delete the user's saved screens, the runs recorded on them and the
+// user's own runs of other screens
+const removeSavedScreens = async (userId) => {
+  const screenIds = await SavedScreen.distinct("_id", { author: userId });
+
+  await Promise.all([
+    SavedScreen.deleteMany({ _id: { $in: screenIds } }),
+    SavedScreenRun.deleteMany({
+      $or: [{ screen: { $in: screenIds } }, { user: userId }],
+    }),
+  ]);
+};
+
+// Keep the user's posts but detach them from the account
+const anonymizeContent = async (userId) => {
+  await Promise.all([
+    Comment.updateMany(
+      { author: userId },
+      { $set: { author: null, isAnonymous: true } }
+    ),
+    PortfolioComment.updateMany(
+      { author: userId },
+      { $set: { author: null, isAnonymous: true } }
+    ),
+    Comment.updateMany(
+      { shadowbannedAuthor: userId },
+      { $unset: { shadowbannedAuthor: "" } }
+    ),
+    PortfolioComment.updateMany(
+      { shadowbannedAuthor: userId },
+      { $unset: { shadowbannedAuthor: "" } }
+    ),
+    Conversation.updateMany(
+      { author: userId },
+      { $set: { author: null, isAnonymous: true } }
+    ),
+    Stock.updateMany(
+      { "lastComment.authorId": userId },
+      {
+        $set: {
+          "lastComment.author": "Anonymous",
+          "lastComment.authorId": null,
+        },
+      }
+    ),
+    PortfolioPost.updateMany(
+      { "lastComment.authorId": userId },
+      {
+        $set: {
+          "lastComment.author": "Anonymous",
+          "lastComment.authorId": null,
+        },
+      }
+    ),
+  ]);
+};
+
+/**
+ * Schedules a user's account for deletion
+ *
+ * The account is disabled straight away (signed out everywhere, no logins
+ * or API keys) but nothing is removed until the grace period ends, so the
+ * user can still change their mind with `cancelAccountDeletion`.
+ *
+ * @param {Object} user - User document to delete
+ * @returns {Promise<Date>} - When the account will be permanently removed
+ */
+const deleteAccount = async (user) => {
+  const scheduledFor = new Date(
+    Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = scheduledFor;
+  await user.save();
+  await revokeAllSessions(user._id, "account_deleted");
+
+  return scheduledFor;
+};
+
+/**
+ * Re-enables an account that is scheduled for deletion
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const cancelAccountDeletion = async (user) => {
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save();
+};
+
+// Permanently delete one account: content is anonymized, votes, portfolio
+// posts and every other per-user record are removed, then the user itself
+const purgeAccount = async (user) => {
+  const userId = user._id;
+
+  await removeVotes(userId);
+  await removePortfolios(userId);
+  await removeSavedScreens(userId);
+  await anonymizeContent(userId);
+
+  await Promise.all([
+    Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] }),
+    Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] }),
+    UserBadge.deleteMany({ user: userId }),
+    ApiKey.deleteMany({ user: userId }),
+    ReputationEvent.deleteMany({ user: userId }),
+    UsernameHistory.deleteMany({ user: userId }),
+    UserSettings.deleteMany({ user: userId }),
+    Watchlist.deleteMany({ user: userId }),
+    PriceAlert.deleteMany({ user: userId }),
+    Notification.deleteMany({ user: userId }),
+    // Keep the audit log, without the reference to the deleted account
+    // (actions this user took as a moderator stay in other users' logs)
+    ModerationAction.updateMany({ user: userId }, { $set: { user: null } }),
+    Session.deleteMany({ user: userId }),
+    unlockAccount(user.email),
+  ]);
+
+  await User.deleteOne({ _id: userId });
+  await deleteS3Keys([...(user.avatarKeys || []), user.bannerKey]);
+};
+
+// Permanently remove accounts whose grace period has ended
+const purgeDeletedUsers = async (now = new Date()) => {
+  const users = await User.find({ deletionScheduledFor: { $lte: now } })
+    .select("email +avatarKeys +bannerKey")
+    .lean();
+
+  let purged = 0;
+  for (const user of users) {
+    try {
+      await purgeAccount(user);
+      purged++;
+    } catch (error) {
+      console.error(`Error purging deleted user ${user._id}:`, error);
+    }
+  }
+
+  return purged;
+};
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  deleteAccount,
+  cancelAccountDeletion,
+  purgeDeletedUsers,
+};
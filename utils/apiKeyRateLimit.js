@@ -0,0 +1,41 @@
+// Fixed one-minute windows, counted per key in this server instance
+const WINDOW_MS = 60 * 1000;
+
+const windows = new Map();
+
+// Periodically drop windows that have ended
+const pruneInterval = setInterval(() => {
+  const now = Date.now();
+  for (const [keyId, window] of windows) {
+    if (window.resetAt <= now) windows.delete(keyId);
+  }
+}, 5 * 60 * 1000);
+pruneInterval.unref();
+
+/**
+ * Counts a request against an API key's per-minute limit
+ * @param {string} keyId - API key ID
+ * @param {number} limit - Requests allowed per minute
+ * @returns {{allowed: boolean, remaining: number, resetAt: number}} - Whether to continue, requests left and when the window resets (ms epoch)
+ */
+const consumeApiKeyRequest = (keyId, limit) => {
+  const now = Date.now();
+  let window = windows.get(keyId);
+
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + WINDOW_MS };
+    windows.set(keyId, window);
+  }
+
+  window.count += 1;
+
+  return {
+    allowed: window.count <= limit,
+    remaining: Math.max(0, limit - window.count),
+    resetAt: window.resetAt,
+  };
+};
+
+module.exports = {
+  consumeApiKeyRequest,
+};
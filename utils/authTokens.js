@@ -0,0 +1,197 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/session.model");
+const User = require("../models/user.model");
+
+// JWT secret key
+const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
+
+// Token lifetimes
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || "30"
+);
+const CHALLENGE_TOKEN_EXPIRES_IN = "5m";
+const LINK_TOKEN_EXPIRES_IN = "10m";
+
+// Challenge tokens use a derived secret so no access-token check accepts them
+const CHALLENGE_SECRET = `${JWT_SECRET}:2fa-challenge`;
+const LINK_SECRET = `${JWT_SECRET}:provider-link`;
+
+// Hash a refresh token for storage and lookup
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Sign a short-lived access token bound to a session family
+const generateAccessToken = (user, family) =>
+  jwt.sign({ id: user._id, username: user.username, sid: family }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+
+// Sign a short-lived token proving the password step of a 2FA login passed
+const generateChallengeToken = (user) =>
+  jwt.sign({ id: user._id }, CHALLENGE_SECRET, {
+    expiresIn: CHALLENGE_TOKEN_EXPIRES_IN,
+  });
+
+// Verify a 2FA challenge token; returns the user ID or null
+const verifyChallengeToken = (challengeToken) => {
+  try {
+    return jwt.verify(challengeToken, CHALLENGE_SECRET).id;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Sign a short-lived token that carries a signed-in user through an OAuth
+// redirect so the provider account is linked to them. The nonce ties it to
+// the browser holding the matching OAuth state cookie (see utils/oauthState.js)
+const generateLinkToken = (user, provider, nonce) =>
+  jwt.sign({ id: user._id, provider, nonce }, LINK_SECRET, {
+    expiresIn: LINK_TOKEN_EXPIRES_IN,
+  });
+
+// Verify a provider link token; returns { userId, nonce } or null
+const verifyLinkToken = (linkToken, provider) => {
+  try {
+    const decoded = jwt.verify(linkToken, LINK_SECRET);
+    return decoded.provider === provider
+      ? { userId: decoded.id, nonce: decoded.nonce }
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Create and persist a refresh token for the given session family
+const createRefreshToken = async (user, family, req) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+
+  await Session.create({
+    user: user._id,
+    family,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400000),
+    userAgent: req?.get?.("User-Agent"),
+    ipAddress: req?.ip,
+  });
+
+  return refreshToken;
+};
+
+/**
+ * Starts a new session (a new refresh token family) for a user
+ * @param {Object} user - The authenticated user document
+ * @param {Object} req - Express request, used for client metadata
+ * @returns {Promise<{token: string, refreshToken: string}>} - Access and refresh tokens
+ */
+const issueTokens = async (user, req) => {
+  const family = crypto.randomUUID();
+  const refreshToken = await createRefreshToken(user, family, req);
+
+  return {
+    token: generateAccessToken(user, family),
+    refreshToken,
+  };
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair.
+ * Presenting a token that was already rotated is treated as theft and
+ * revokes every token in its family.
+ * @param {string} refreshToken - The raw refresh token sent by the client
+ * @param {Object} req - Express request, used for client metadata
+ * @returns {Promise<{token: string, refreshToken: string, user: Object}|null>} - New tokens, or null if the token is not usable
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  // Atomically claim the token so concurrent refreshes cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      tokenHash,
+      rotatedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { rotatedAt: now },
+    { new: true }
+  );
+
+  if (!session) {
+    const stale = await Session.findOne({ tokenHash });
+    if (stale && stale.rotatedAt) {
+      console.warn(
+        `Refresh token reuse detected for session family ${stale.family}`
+      );
+      await revokeFamily(stale.family, "reuse_detected");
+    }
+    return null;
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await revokeFamily(session.family, "logout");
+    return null;
+  }
+
+  const newRefreshToken = await createRefreshToken(user, session.family, req);
+
+  return {
+    token: generateAccessToken(user, session.family),
+    refreshToken: newRefreshToken,
+    user,
+  };
+};
+
+// Revoke every live token in a session family
+const revokeFamily = (family, reason = "logout") =>
+  Session.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+// Revoke the session family that a refresh token belongs to
+const revokeRefreshToken = async (refreshToken, reason = "logout") => {
+  const session = await Session.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!session) return false;
+
+  await revokeFamily(session.family, reason);
+  return true;
+};
+
+// Revoke every session a user has on any device
+const revokeAllSessions = (userId, reason = "logout_all") =>
+  Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+// Revoke every session except the one making the request
+const revokeOtherSessions = (userId, keepFamily, reason = "logout_all") =>
+  Session.updateMany(
+    { user: userId, family: { $ne: keepFamily }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+// Check whether the session family behind an access token is still live
+const isSessionActive = async (family) =>
+  !!(await Session.exists({ family, revokedAt: null }));
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_EXPIRES_IN,
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateLinkToken,
+  verifyLinkToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeRefreshToken,
+  revokeAllSessions,
+  revokeOtherSessions,
+  isSessionActive,
+};
@@ -0,0 +1,113 @@
+const User = require("../models/user.model");
+const Comment = require("../models/comment.model");
+const Conversation = require("../models/conversation.model");
+const PortfolioPost = require("../models/portfolioPost.model");
+const UserBadge = require("../models/userBadge.model");
+const { BADGES } = require("../config/badges");
+
+// Values badge rules are measured against, keyed by metric name
+const METRICS = {
+  comments: (userId) =>
+    Comment.countDocuments({ author: userId, isAnonymous: false }),
+
+  conversations: (userId) => Conversation.countDocuments({ author: userId }),
+
+  portfolios: (userId) => PortfolioPost.countDocuments({ author: userId }),
+
+  likedComments: (userId) =>
+    Comment.countDocuments({
+      author: userId,
+      isAnonymous: false,
+      likes: { $gte: 1 },
+    }),
+
+  maxConversationLikes: async (userId) => {
+    const top = await Conversation.findOne({ author: userId })
+      .sort({ likes: -1 })
+      .select("likes")
+      .lean();
+    return top ? top.likes : 0;
+  },
+
+  maxGainsPortfolioUpvotes: async (userId) => {
+    const top = await PortfolioPost.findOne({
+      author: userId,
+      category: "GAINS",
+    })
+      .sort({ upvotes: -1 })
+      .select("upvotes")
+      .lean();
+    return top ? top.upvotes : 0;
+  },
+
+  reputation: async (userId) => {
+    const user = await User.findById(userId).select("reputation").lean();
+    return user ? user.reputation || 0 : 0;
+  },
+};
+
+/**
+ * Awards any badges the user has newly qualified for
+ * @param {string} userId - User to evaluate
+ * @param {string} [trigger] - Event that occurred; omit to check every badge
+ * @returns {Promise<string[]>} - IDs of badges awarded by this call
+ */
+const evaluateBadges = async (userId, trigger) => {
+  if (!userId) return [];
+
+  const candidates = BADGES.filter(
+    (badge) => !trigger || badge.triggers.includes(trigger)
+  );
+  if (candidates.length === 0) return [];
+
+  const owned = await UserBadge.find({
+    user: userId,
+    badge: { $in: candidates.map((badge) => badge.id) },
+  })
+    .select("badge")
+    .lean();
+  const ownedIds = new Set(owned.map((userBadge) => userBadge.badge));
+
+  // Each metric is read at most once per evaluation
+  const metricValues = new Map();
+  const readMetric = (metric) => {
+    if (!metricValues.has(metric)) {
+      metricValues.set(metric, METRICS[metric](userId));
+    }
+    return metricValues.get(metric);
+  };
+
+  const awarded = [];
+  for (const badge of candidates) {
+    if (ownedIds.has(badge.id)) continue;
+
+    const value = await readMetric(badge.metric);
+    if (value < badge.threshold) continue;
+
+    // Upsert so concurrent evaluations can't award the same badge twice
+    const result = await UserBadge.updateOne(
+      { user: userId, badge: badge.id },
+      { $setOnInsert: { user: userId, badge: badge.id } },
+      { upsert: true }
+    );
+    if (result.upsertedCount > 0) awarded.push(badge.id);
+  }
+
+  return awarded;
+};
+
+// Evaluate badges without letting a failure affect the request
+const checkBadges = async (userId, trigger) => {
+  try {
+    return await evaluateBadges(userId, trigger);
+  } catch (error) {
+    console.error("Error evaluating badges:", error);
+    return [];
+  }
+};
+
+module.exports = {
+  METRICS,
+  evaluateBadges,
+  checkBadges,
+};
@@ -0,0 +1,182 @@
+const archiver = require("archiver");
+const User = require("../models/user.model");
+const Comment = require("../models/comment.model");
+const Conversation = require("../models/conversation.model");
+const PortfolioPost = require("../models/portfolioPost.model");
+const PortfolioVote = require("../models/portfolioVote.model");
+const PortfolioComment = require("../models/portfolioComment.model");
+const Follow = require("../models/follow.model");
+const Block = require("../models/block.model");
+const UserBadge = require("../models/userBadge.model");
+const ReputationEvent = require("../models/reputationEvent.model");
+const UsernameHistory = require("../models/usernameHistory.model");
+const UserSettings = require("../models/userSettings.model");
+const Watchlist = require("../models/watchlist.model");
+const PriceAlert = require("../models/priceAlert.model");
+const Notification = require("../models/notification.model");
+const SavedScreen = require("../models/savedScreen.model");
+const SentimentVote = require("../models/sentimentVote.model");
+
+// Account fields included in the export (secrets and token hashes are left out)
+const EXPORT_PROFILE_FIELDS =
+  "username email authProviders bio avatarUrl bannerUrl role reputation emailVerified emailVerifiedAt twoFactor.enabled twoFactor.enabledAt createdAt updatedAt";
+
+// Vote arrays aren't the user's data, so they're dropped from exported content
+const CONTENT_EXCLUDED_FIELDS =
+  "-likedBy -dislikedBy -likedByAnonymous -dislikedByAnonymous";
+
+/**
+ * Collects everything stored about a user
+ * @param {string} userId - User to export
+ * @returns {Promise<Object>} - Export sections keyed by name
+ */
+const buildUserExport = async (userId) => {
+  const [
+    profile,
+    comments,
+    conversations,
+    portfolioPosts,
+    portfolioComments,
+    likedComments,
+    dislikedComments,
+    likedConversations,
+    stockSentiment,
+    portfolioVotes,
+    following,
+    followers,
+    blocks,
+    badges,
+    reputationEvents,
+    usernameHistory,
+    settings,
+    watchlists,
+    priceAlerts,
+    notifications,
+    savedScreens,
+  ] = await Promise.all([
+    User.findById(userId).select(EXPORT_PROFILE_FIELDS).lean(),
+    Comment.find({ author: userId }).select(CONTENT_EXCLUDED_FIELDS).lean(),
+    Conversation.find({ author: userId }).select("-likedBy").lean(),
+    PortfolioPost.find({ author: userId }).lean(),
+    PortfolioComment.find({ author: userId })
+      .select(CONTENT_EXCLUDED_FIELDS)
+      .lean(),
+    Comment.find({ likedBy: userId }).select("_id").lean(),
+    Comment.find({ dislikedBy: userId }).select("_id").lean(),
+    Conversation.find({ likedBy: userId }).select("_id title").lean(),
+    SentimentVote.find({ user: userId })
+      .select("stock sentiment createdAt updatedAt")
+      .populate("stock", "symbol")
+      .lean(),
+    PortfolioVote.find({ user: userId })
+      .select("portfolio voteType createdAt")
+      .lean(),
+    Follow.find({ follower: userId }).populate("following", "username").lean(),
+    Follow.find({ following: userId }).populate("follower", "username").lean(),
+    Block.find({ blocker: userId }).populate("blocked", "username").lean(),
+    UserBadge.find({ user: userId }).select("badge awardedAt").lean(),
+    ReputationEvent.find({ user: userId })
+      .select("action sourceType sourceId points isReversal createdAt")
+      .lean(),
+    UsernameHistory.find({ user: userId })
+      .select("oldUsername newUsername changedAt")
+      .sort({ changedAt: 1 })
+      .lean(),
+    UserSettings.getForUser(userId),
+    Watchlist.find({ user: userId })
+      .select("name entries createdAt updatedAt")
+      .populate("entries.stock", "symbol")
+      .sort({ createdAt: 1 })
+      .lean(),
+    PriceAlert.find({ user: userId })
+      .select(
+        "symbol condition threshold recurring note active lastTriggeredAt lastTriggeredPrice triggerCount createdAt"
+      )
+      .sort({ createdAt: 1 })
+      .lean(),
+    Notification.find({ user: userId })
+      .select("type message readAt createdAt")
+      .sort({ createdAt: 1 })
+      .lean(),
+    SavedScreen.find({ author: userId })
+      .select("name description slug visibility criteria createdAt updatedAt")
+      .sort({ createdAt: 1 })
+      .lean(),
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    comments,
+    conversations,
+    portfolioPosts,
+    portfolioComments,
+    votes: {
+      likedComments: likedComments.map((comment) => comment._id),
+      dislikedComments: dislikedComments.map((comment) => comment._id),
+      likedConversations,
+      stockSentiment: stockSentiment.map((vote) => ({
+        symbol: vote.stock?.symbol,
+        sentiment: vote.sentiment,
+        votedAt: vote.updatedAt || vote.createdAt,
+      })),
+      portfolioVotes,
+    },
+    following: following.map((follow) => ({
+      username: follow.following?.username,
+      since: follow.createdAt,
+    })),
+    followers: followers.map((follow) => ({
+      username: follow.follower?.username,
+      since: follow.createdAt,
+    })),
+    blocks: blocks.map((block) => ({
+      username: block.blocked?.username,
+      type: block.type,
+      since: block.createdAt,
+    })),
+    badges,
+    reputationEvents,
+    usernameHistory,
+    settings: {
+      notifications: settings.notifications,
+      delivery: settings.delivery,
+      privacy: settings.privacy,
+      posting: settings.posting,
+    },
+    watchlists: watchlists.map((watchlist) => ({
+      name: watchlist.name,
+      entries: watchlist.entries.map((entry) => ({
+        symbol: entry.stock?.symbol,
+        note: entry.note,
+        addedAt: entry.addedAt,
+      })),
+      createdAt: watchlist.createdAt,
+      updatedAt: watchlist.updatedAt,
+    })),
+    priceAlerts,
+    notifications,
+    savedScreens,
+  };
+};
+
+// Stream an export as a zip archive with one JSON file per section
+const streamExportZip = (data, res) =>
+  new Promise((resolve, reject) => {
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    archive.on("error", reject);
+    archive.on("end", resolve);
+    archive.pipe(res);
+
+    for (const [section, value] of Object.entries(data)) {
+      archive.append(JSON.stringify(value, null, 2), {
+        name: `${section}.json`,
+      });
+    }
+    archive.finalize();
+  });
+
+module.exports = {
+  buildUserExport,
+  streamExportZip,
+};
@@ -17,6 +17,19 @@ const IMAGE_CONFIG = {
     height: 900,
     quality: 90,
   },
+  // Square profile avatar sizes
+  avatar: {
+    sizes: {
+      medium: 256,
+      small: 64,
+    },
+    quality: 85,
+  },
+  banner: {
+    width: 1500,
+    height: 500,
+    quality: 85,
+  },
   formats: {
     jpeg: { quality: 85 },
     png: { quality: 85 },
@@ -169,6 +182,50 @@ const processPortfolioImage = async (imageBuffer, options = {}) => {
   }
 };
 
+// Process avatar image into square crops for each configured size
+const processAvatarImage = async (imageBuffer) => {
+  try {
+    const { sizes, quality } = IMAGE_CONFIG.avatar;
+    const entries = await Promise.all(
+      Object.entries(sizes).map(async ([name, size]) => {
+        const resized = await sharp(imageBuffer)
+          .rotate() // honor EXIF orientation from phone cameras
+          .resize(size, size, {
+            fit: "cover",
+            position: "centre",
+          })
+          .jpeg({ quality })
+          .toBuffer();
+        return [name, resized];
+      })
+    );
+
+    return Object.fromEntries(entries);
+  } catch (error) {
+    console.error("Avatar processing error:", error);
+    throw new Error(`Failed to process avatar image: ${error.message}`);
+  }
+};
+
+// Process profile banner image into a wide crop
+const processBannerImage = async (imageBuffer) => {
+  try {
+    const { width, height, quality } = IMAGE_CONFIG.banner;
+
+    return await sharp(imageBuffer)
+      .rotate()
+      .resize(width, height, {
+        fit: "cover",
+        position: "centre",
+      })
+      .jpeg({ quality })
+      .toBuffer();
+  } catch (error) {
+    console.error("Banner processing error:", error);
+    throw new Error(`Failed to process banner image: ${error.message}`);
+  }
+};
+
 module.exports = {
   generateThumbnail,
   optimizeImage,
@@ -176,5 +233,7 @@ module.exports = {
   autoBlurImage,
   getImageMetadata,
   processPortfolioImage,
+  processAvatarImage,
+  processBannerImage,
   IMAGE_CONFIG,
 };
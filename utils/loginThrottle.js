@@ -0,0 +1,209 @@
+const LoginAttempt = require("../models/loginAttempt.model");
+
+// Failed-login throttling configuration
+const THROTTLE_CONFIG = {
+  account: {
+    freeAttempts: parseInt(process.env.LOGIN_MAX_ACCOUNT_ATTEMPTS || "5"),
+    baseLockMs: 30 * 1000,
+    maxLockMs: 60 * 60 * 1000,
+  },
+  ip: {
+    freeAttempts: parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS || "20"),
+    baseLockMs: 30 * 1000,
+    maxLockMs: 60 * 60 * 1000,
+  },
+  // Failure counts reset after this long without a failed attempt
+  resetAfterMs: 24 * 60 * 60 * 1000,
+};
+
+// In-process store (default; counters are per server instance)
+const createMemoryStore = () => {
+  const records = new Map();
+
+  // Periodically drop counters that have expired
+  const pruneInterval = setInterval(() => {
+    const now = Date.now();
+    for (const [key, record] of records) {
+      if (record.expiresAt <= now) records.delete(key);
+    }
+  }, 10 * 60 * 1000);
+  pruneInterval.unref();
+
+  return {
+    async get(key) {
+      const record = records.get(key);
+      if (!record || record.expiresAt <= Date.now()) return null;
+      return record;
+    },
+
+    async increment(key, now, resetAfterMs) {
+      const existing = await this.get(key);
+      const stale =
+        !existing || now - existing.lastFailureAt.getTime() > resetAfterMs;
+
+      const record = {
+        failures: stale ? 1 : existing.failures + 1,
+        lastFailureAt: new Date(now),
+        lockedUntil: stale ? null : existing.lockedUntil,
+        expiresAt: now + resetAfterMs,
+      };
+      records.set(key, record);
+      return record;
+    },
+
+    async lock(key, lockedUntil) {
+      const record = records.get(key);
+      if (record) record.lockedUntil = lockedUntil;
+    },
+
+    async delete(key) {
+      records.delete(key);
+    },
+  };
+};
+
+// MongoDB-backed store for multi-instance deployments
+const createMongoStore = () => ({
+  async get(key) {
+    return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  },
+
+  async increment(key, now, resetAfterMs) {
+    const cutoff = new Date(now - resetAfterMs);
+
+    // Single atomic update so concurrent failures are all counted
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            failures: {
+              $cond: [
+                { $lt: ["$lastFailureAt", cutoff] },
+                1,
+                { $add: [{ $ifNull: ["$failures", 0] }, 1] },
+              ],
+            },
+            lockedUntil: {
+              $cond: [
+                { $lt: ["$lastFailureAt", cutoff] },
+                null,
+                { $ifNull: ["$lockedUntil", null] },
+              ],
+            },
+            lastFailureAt: new Date(now),
+            expiresAt: new Date(now + resetAfterMs),
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    ).lean();
+  },
+
+  async lock(key, lockedUntil) {
+    await LoginAttempt.updateOne({ key }, { lockedUntil });
+  },
+
+  async delete(key) {
+    await LoginAttempt.deleteOne({ key });
+  },
+});
+
+let store =
+  process.env.LOGIN_THROTTLE_STORE === "mongo"
+    ? createMongoStore()
+    : createMemoryStore();
+
+// Swap the counter store (e.g. a fresh memory store in tests)
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+const accountKey = (email) =>
+  `account:${String(email || "")
+    .trim()
+    .toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+
+// Remaining lock time for a key in milliseconds (0 if not locked)
+const getLockRemaining = async (key, now) => {
+  const record = await store.get(key);
+  if (!record || !record.lockedUntil) return 0;
+  return Math.max(0, new Date(record.lockedUntil).getTime() - now);
+};
+
+// Count a failure and lock the key once it exceeds its free attempts
+const registerFailure = async (key, limits, now) => {
+  const record = await store.increment(key, now, THROTTLE_CONFIG.resetAfterMs);
+  const excess = record.failures - limits.freeAttempts;
+
+  if (excess >= 0) {
+    // Exponential backoff: base, 2x base, 4x base, ... up to the maximum
+    const lockMs = Math.min(limits.baseLockMs * 2 ** excess, limits.maxLockMs);
+    await store.lock(key, new Date(now + lockMs));
+    return lockMs;
+  }
+
+  return 0;
+};
+
+/**
+ * Checks whether a login attempt may proceed
+ * @param {Object} attempt - The attempt being made
+ * @param {string} attempt.email - Email the client is logging in as
+ * @param {string} attempt.ip - Client IP address
+ * @returns {Promise<{allowed: boolean, retryAfterMs: number}>} - Whether to continue, and how long to wait if not
+ */
+const checkLoginAllowed = async ({ email, ip }) => {
+  const now = Date.now();
+  const [accountLock, ipLock] = await Promise.all([
+    getLockRemaining(accountKey(email), now),
+    getLockRemaining(ipKey(ip), now),
+  ]);
+  const retryAfterMs = Math.max(accountLock, ipLock);
+
+  return { allowed: retryAfterMs === 0, retryAfterMs };
+};
+
+// Record a failed login for both the account and the client IP
+const recordLoginFailure = async ({ email, ip }) => {
+  const now = Date.now();
+  const [accountLockMs, ipLockMs] = await Promise.all([
+    registerFailure(accountKey(email), THROTTLE_CONFIG.account, now),
+    registerFailure(ipKey(ip), THROTTLE_CONFIG.ip, now),
+  ]);
+
+  return { retryAfterMs: Math.max(accountLockMs, ipLockMs) };
+};
+
+// Clear the account's counter after a successful login
+const recordLoginSuccess = async ({ email }) => {
+  await store.delete(accountKey(email));
+};
+
+// Lift a lockout on an account (admin action)
+const unlockAccount = async (email) => {
+  await store.delete(accountKey(email));
+};
+
+// Respond to a locked-out login attempt with 429 and Retry-After
+const sendLockedOut = (res, retryAfterMs) => {
+  const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+  res.setHeader("Retry-After", retryAfterSeconds);
+  return res.status(429).json({
+    message: `Too many failed login attempts. Try again in ${retryAfterSeconds} seconds.`,
+    retryAfter: retryAfterSeconds,
+  });
+};
+
+module.exports = {
+  THROTTLE_CONFIG,
+  createMemoryStore,
+  createMongoStore,
+  setStore,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  sendLockedOut,
+};
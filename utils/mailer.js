@@ -0,0 +1,90 @@
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// Default sender for outgoing mail
+const MAIL_FROM =
+  process.env.MAIL_FROM || "Stock Forum <no-reply@stockforum.io>";
+
+// Directory used by the file transport
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join("tmp", "mail");
+
+let smtpTransporter = null;
+
+// Available transports, selected with MAIL_TRANSPORT
+const transports = {
+  // Log messages to stdout (local development only: links would end up in logs)
+  console: async (message) => {
+    console.log("Outgoing email:", message);
+  },
+
+  // Write each message as a JSON file (local development and tests)
+  file: async (message) => {
+    await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+    const recipient = message.to.replace(/[^\w.@-]/g, "_");
+    const fileName = `${Date.now()}-${recipient}.json`;
+    await fs.writeFile(
+      path.join(MAIL_FILE_DIR, fileName),
+      JSON.stringify(message, null, 2)
+    );
+  },
+
+  // Deliver through an SMTP server
+  smtp: async (message) => {
+    if (!smtpTransporter) {
+      smtpTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || "587"),
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    }
+    await smtpTransporter.sendMail(message);
+  },
+};
+
+// Register a custom transport (e.g. a provider API or a test spy)
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+/**
+ * Sends an email through the configured transport
+ * @param {Object} options - Message options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain text body
+ * @param {string} [options.html] - Optional HTML body
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const production = process.env.NODE_ENV === "production";
+  const transportName =
+    process.env.MAIL_TRANSPORT || (production ? null : "console");
+
+  if (!transportName || (production && transportName === "console")) {
+    throw new Error(
+      "MAIL_TRANSPORT must be set to a delivering transport in production"
+    );
+  }
+
+  const send = transports[transportName];
+
+  if (!send) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  try {
+    await send({ from: MAIL_FROM, to, subject, text, html });
+  } catch (error) {
+    console.error("Mail delivery error:", error);
+    throw new Error(`Failed to send email: ${error.message}`);
+  }
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+};
@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+
+// Longest suspension a moderator can hand out (longer means a ban)
+const MAX_SUSPENSION_DAYS = 365;
+
+// 403 bodies explaining why the account can't act
+const bannedResponse = (user) => ({
+  message: "This account has been banned",
+  code: "ACCOUNT_BANNED",
+  reason: user.moderation.banReason || null,
+});
+
+const suspendedResponse = (user) => ({
+  message: `This account is suspended until ${user.moderation.suspendedUntil.toISOString()}`,
+  code: "ACCOUNT_SUSPENDED",
+  reason: user.moderation.suspensionReason || null,
+  suspendedUntil: user.moderation.suspendedUntil,
+});
+
+/**
+ * Works out whether a suspended or banned user may make a request
+ * @param {Object} user - User document with its moderation fields loaded
+ * @param {Object} req - The request being made
+ * @returns {Object|null} - 403 response body, or null if the request may proceed
+ */
+const getAccountRestriction = (user, req) => {
+  if (!user) return null;
+
+  if (user.isBanned()) {
+    return bannedResponse(user);
+  }
+
+  // Suspended users keep read access and can still manage their session
+  if (
+    user.isSuspended() &&
+    req.method !== "GET" &&
+    req.baseUrl !== "/api/auth"
+  ) {
+    return suspendedResponse(user);
+  }
+
+  return null;
+};
+
+/**
+ * Checks whether a user may post new content, and whether it should be hidden
+ * @param {string} userId - Author of the new content (anonymous posts pass undefined)
+ * @returns {Promise<{restriction: Object|null, shadowbanned: boolean}>}
+ */
+const getPostingStatus = async (userId) => {
+  if (!userId) return { restriction: null, shadowbanned: false };
+
+  const user = await User.findById(userId).select("moderation");
+  if (!user) return { restriction: null, shadowbanned: false };
+
+  if (user.isBanned()) {
+    return { restriction: bannedResponse(user), shadowbanned: false };
+  }
+
+  if (user.isSuspended()) {
+    return { restriction: suspendedResponse(user), shadowbanned: false };
+  }
+
+  return { restriction: null, shadowbanned: user.isShadowbanned() };
+};
+
+// Query condition hiding shadowbanned content from everyone but its author
+// (the viewer ID is cast so the condition also works in aggregations).
+// Anonymous comments have no author, so they are matched on shadowbannedAuthor.
+const visibleContentQuery = (viewerId) => {
+  if (!viewerId) return { shadowbanned: { $ne: true } };
+
+  const viewer = new mongoose.Types.ObjectId(viewerId);
+  return {
+    $or: [
+      { shadowbanned: { $ne: true } },
+      { author: viewer },
+      { shadowbannedAuthor: viewer },
+    ],
+  };
+};
+
+module.exports = {
+  MAX_SUSPENSION_DAYS,
+  bannedResponse,
+  getAccountRestriction,
+  getPostingStatus,
+  visibleContentQuery,
+};
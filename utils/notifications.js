@@ -0,0 +1,27 @@
+const Notification = require("../models/notification.model");
+const UserSettings = require("../models/userSettings.model");
+
+// Setting (under notifications.*) that turns each notification type on or off
+const NOTIFICATION_SETTINGS = {
+  price_alert: "priceAlerts",
+};
+
+/**
+ * Records an in-app notification, unless the user's settings turn it off
+ * @param {string} userId - User to notify
+ * @param {Object} notification - Notification fields (type, message, refs)
+ * @returns {Promise<Object|null>} - The notification, or null if not wanted
+ */
+const createNotification = async (userId, notification) => {
+  const settings = await UserSettings.getForUser(userId);
+  const setting = NOTIFICATION_SETTINGS[notification.type];
+
+  if (!settings.delivery.inApp) return null;
+  if (setting && !settings.notifications[setting]) return null;
+
+  return Notification.create({ ...notification, user: userId });
+};
+
+module.exports = {
+  createNotification,
+};
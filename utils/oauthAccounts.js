@@ -0,0 +1,146 @@
+const User = require("../models/user.model");
+const UsernameHistory = require("../models/usernameHistory.model");
+
+// Turn a display name into a unique, URL-safe username
+const generateUniqueUsername = async (displayName) => {
+  let baseUsername = String(displayName || "")
+    .trim()
+    .replace(/\s+/g, "_")
+    .toLowerCase()
+    .replace(/[^a-z0-9_.-]/g, "");
+  if (baseUsername.length < 3) {
+    baseUsername = `user_${baseUsername}`;
+  }
+
+  let username = baseUsername;
+  let counter = 1;
+
+  // Keep trying until we find a username that's free and not reserved
+  while (
+    (await User.exists({ username })) ||
+    (await UsernameHistory.isReserved(username))
+  ) {
+    username = `${baseUsername}_${counter}`;
+    counter++;
+  }
+
+  return username;
+};
+
+const findByProvider = (provider, providerId) =>
+  User.findOne({
+    "authProviders.provider": provider,
+    "authProviders.providerId": providerId,
+  });
+
+// Link a provider account to the signed-in user who started the link flow
+const linkProviderAccount = async (userId, provider, label, profile) => {
+  const user = await User.findById(userId);
+  if (!user || user.deletionRequestedAt) {
+    return { error: "Account not found" };
+  }
+
+  const existing = await findByProvider(provider, profile.id).select("_id");
+  if (existing && existing._id.toString() !== user._id.toString()) {
+    return {
+      error: `This ${label} account is already linked to another user`,
+    };
+  }
+
+  if (user.getAuthProvider(provider)) {
+    if (existing) return { user };
+    return { error: `A different ${label} account is already linked` };
+  }
+
+  user.authProviders.push({
+    provider,
+    providerId: profile.id,
+    email: profile.email,
+  });
+  // The provider has already confirmed ownership of this address
+  if (!user.emailVerified && profile.email === user.email) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  return { user };
+};
+
+// Sign in with a linked provider account, or create a new user for it
+const signInWithProvider = async (provider, label, profile) => {
+  const user = await findByProvider(provider, profile.id);
+  if (user) {
+    return { user };
+  }
+
+  if (!profile.email) {
+    return {
+      error: `Your ${label} account has no verified email address`,
+    };
+  }
+
+  // Never merge into an existing account without the owner's consent
+  if (await User.exists({ email: profile.email })) {
+    return {
+      error: `An account with this email already exists. Sign in with your password and link ${label} from your account settings.`,
+    };
+  }
+
+  // Create new user (signs in through the provider until they set a password)
+  const newUser = new User({
+    username: await generateUniqueUsername(profile.displayName),
+    email: profile.email,
+    authProviders: [{ provider, providerId: profile.id, email: profile.email }],
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+  });
+  await newUser.save();
+
+  return { user: newUser };
+};
+
+/**
+ * Builds the passport verify callback shared by every login provider
+ * @param {string} provider - Provider name from config/authProviders.js
+ * @param {Object} definition - The provider's registry entry
+ * @returns {Function} - Verify callback (expects `passReqToCallback: true`
+ * and the checked OAuth state in `req.oauthState`)
+ */
+const createVerifyCallback =
+  (provider, definition) =>
+  async (req, accessToken, refreshToken, rawProfile, done) => {
+    try {
+      const profile = definition.normalizeProfile(rawProfile);
+      if (profile.email) profile.email = profile.email.toLowerCase();
+
+      // Linking flow: the OAuth state names the signed-in user who started it
+      const linkUserId = req.oauthState?.linkUserId;
+      if (linkUserId) {
+        const { user, error } = await linkProviderAccount(
+          linkUserId,
+          provider,
+          definition.label,
+          profile
+        );
+        if (error) return done(null, false, { message: error });
+        return done(null, user, { linked: true, provider });
+      }
+
+      const { user, error } = await signInWithProvider(
+        provider,
+        definition.label,
+        profile
+      );
+      if (error) return done(null, false, { message: error });
+      done(null, user, { provider });
+    } catch (error) {
+      console.error(`Passport ${definition.label} Strategy Error:`, error);
+      done(error, null);
+    }
+  };
+
+module.exports = {
+  generateUniqueUsername,
+  createVerifyCallback,
+};
@@ -0,0 +1,82 @@
+// Popup page that hands the OAuth result back to the client window
+const generateOAuthResponse = (data, error = null) => {
+  const responseData = error
+    ? { type: "social_auth_error", error }
+    : { type: "social_auth_success", ...data };
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <title>Authentication Complete</title>
+      </head>
+      <body>
+        <script>
+          function getAllowedOrigins() {
+            const clientUrl = "${
+              process.env.CLIENT_URL || "http://localhost:3000"
+            }";
+            // Add both the exact URL and any potential protocol variations
+            return [
+              clientUrl,
+              clientUrl.replace('http://', 'https://'),
+              clientUrl.replace('https://', 'http://')
+            ];
+          }
+
+          function postMessageToOpener(data) {
+            const allowedOrigins = getAllowedOrigins();
+            console.log('Allowed origins:', allowedOrigins);
+            
+            for (const origin of allowedOrigins) {
+              try {
+                console.log('Attempting to post message to:', origin);
+                window.opener.postMessage(data, origin);
+              } catch (err) {
+                console.error('Error posting to ' + origin + ':', err);
+              }
+            }
+          }
+
+          try {
+            if (window.opener) {
+              console.log('Found opener window, posting message');
+              const data = ${JSON.stringify(responseData)};
+              postMessageToOpener(data);
+            } else {
+              console.error('No opener window found');
+            }
+          } catch (err) {
+            console.error('Error in OAuth response:', err);
+          } finally {
+            // Close the popup after a short delay
+            setTimeout(() => window.close(), 1000);
+          }
+        </script>
+        <p>Authentication complete. You can close this window.</p>
+      </body>
+    </html>
+  `;
+};
+
+// Send the popup page with the headers it needs to reach the opener window
+const sendOAuthResponse = (res, data, error = null) => {
+  // Set security headers
+  res.setHeader("Cross-Origin-Opener-Policy", "unsafe-none");
+  res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+  res.setHeader("Cross-Origin-Embedder-Policy", "unsafe-none");
+
+  // Set CORS headers
+  const clientOrigin = process.env.CLIENT_URL || "http://localhost:3000";
+  res.setHeader("Access-Control-Allow-Origin", clientOrigin);
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+
+  return res.send(generateOAuthResponse(data, error));
+};
+
+module.exports = {
+  generateOAuthResponse,
+  sendOAuthResponse,
+};
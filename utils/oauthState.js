@@ -0,0 +1,112 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { JWT_SECRET, verifyLinkToken } = require("./authTokens");
+
+// The OAuth `state` is a signed token carrying a nonce that must match an
+// httpOnly cookie, so a callback only completes in the browser that started
+// the flow. This blocks login CSRF and linking through someone else's link.
+const OAUTH_STATE_COOKIE = "oauth_state";
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+const STATE_SECRET = `${JWT_SECRET}:oauth-state`;
+
+// In production the client and API are on different sites, so the cookie
+// has to be sent on cross-site requests
+const getCookieOptions = () => {
+  const production = process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: production ? "none" : "lax",
+    path: "/api/auth",
+  };
+};
+
+// Read a cookie from the request (the app has no cookie parser)
+const readCookie = (req, name) => {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+// Bind a new OAuth flow to this browser; returns the nonce
+const setOAuthStateCookie = (res) => {
+  const nonce = crypto.randomBytes(16).toString("hex");
+  res.cookie(OAUTH_STATE_COOKIE, nonce, {
+    ...getCookieOptions(),
+    maxAge: OAUTH_STATE_TTL_MS,
+  });
+  return nonce;
+};
+
+const clearOAuthStateCookie = (res) =>
+  res.clearCookie(OAUTH_STATE_COOKIE, getCookieOptions());
+
+const signState = (payload) =>
+  jwt.sign(payload, STATE_SECRET, { expiresIn: OAUTH_STATE_TTL_MS / 1000 });
+
+/**
+ * Builds the `state` for an authorization request
+ *
+ * Sign-ins get a fresh state cookie. Links reuse the cookie set by the
+ * startLink request, so a link token only works in the browser it was
+ * issued to.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} provider - Provider name
+ * @param {string} [linkToken] - Link token from startLink
+ * @returns {{state: string}|{error: string}}
+ */
+const createOAuthState = (req, res, provider, linkToken) => {
+  if (!linkToken) {
+    const nonce = setOAuthStateCookie(res);
+    return { state: signState({ provider, nonce }) };
+  }
+
+  const link = verifyLinkToken(String(linkToken), provider);
+  if (
+    !link ||
+    !link.nonce ||
+    link.nonce !== readCookie(req, OAUTH_STATE_COOKIE)
+  ) {
+    return { error: "Link request is invalid or has expired" };
+  }
+
+  return {
+    state: signState({ provider, nonce: link.nonce, link: link.userId }),
+  };
+};
+
+/**
+ * Checks a callback's `state` against the state cookie
+ * @param {Object} req - Express request object
+ * @param {string} provider - Provider name
+ * @returns {{linkUserId: string|null}|null} - null if the state is missing, invalid or from another browser
+ */
+const verifyOAuthState = (req, provider) => {
+  const nonce = readCookie(req, OAUTH_STATE_COOKIE);
+  if (!nonce || !req.query.state) return null;
+
+  try {
+    const decoded = jwt.verify(String(req.query.state), STATE_SECRET);
+    if (decoded.provider !== provider || decoded.nonce !== nonce) return null;
+    return { linkUserId: decoded.link || null };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  setOAuthStateCookie,
+  clearOAuthStateCookie,
+  createOAuthState,
+  verifyOAuthState,
+};
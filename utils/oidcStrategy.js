@@ -0,0 +1,47 @@
+const OAuth2Strategy = require("passport-oauth2");
+
+/**
+ * Generic OpenID Connect login using the authorization code flow
+ *
+ * The profile comes from the provider's userinfo endpoint, so any
+ * standards-compliant OIDC provider works with just its endpoint URLs.
+ */
+class OidcStrategy extends OAuth2Strategy {
+  constructor(options, verify) {
+    super(options, verify);
+    this.name = options.name || "oidc";
+    this._userInfoURL = options.userInfoURL;
+    this._oauth2.useAuthorizationHeaderforGET(true);
+  }
+
+  userProfile(accessToken, done) {
+    this._oauth2.get(this._userInfoURL, accessToken, (err, body) => {
+      if (err) {
+        return done(
+          new OAuth2Strategy.InternalOAuthError(
+            "Failed to fetch user info",
+            err
+          )
+        );
+      }
+
+      try {
+        const claims = JSON.parse(body);
+        done(null, {
+          provider: this.name,
+          id: claims.sub,
+          displayName: claims.name,
+          username: claims.preferred_username,
+          emails: claims.email
+            ? [{ value: claims.email, verified: claims.email_verified }]
+            : [],
+          _json: claims,
+        });
+      } catch (parseError) {
+        done(new Error("Failed to parse user info"));
+      }
+    });
+  }
+}
+
+module.exports = OidcStrategy;
@@ -0,0 +1,22 @@
+// Parse page/limit query parameters with sane bounds
+const getPagination = (query, defaultLimit = 20, maxLimit = 50) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(
+    maxLimit,
+    Math.max(1, parseInt(query.limit) || defaultLimit)
+  );
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Build the pagination block used in list responses
+const buildPagination = (page, limit, skip, count, totalCount) => ({
+  currentPage: page,
+  totalPages: Math.ceil(totalCount / limit),
+  totalCount,
+  hasNextPage: skip + count < totalCount,
+});
+
+module.exports = {
+  getPagination,
+  buildPagination,
+};
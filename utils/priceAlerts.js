@@ -0,0 +1,107 @@
+const PriceAlert = require("../models/priceAlert.model");
+const { createNotification } = require("./notifications");
+
+// Notification text for a triggered alert
+const describeTrigger = (alert, stock) => {
+  switch (alert.condition) {
+    case "above":
+      return `${stock.symbol} rose above ${alert.threshold} (now ${stock.currentPrice})`;
+    case "below":
+      return `${stock.symbol} fell below ${alert.threshold} (now ${stock.currentPrice})`;
+    default:
+      return `${stock.symbol} moved ${(stock.percentChange || 0).toFixed(
+        2
+      )}% today (alert at ${alert.threshold}%)`;
+  }
+};
+
+// Daily conditions start over each (UTC) trading day
+const DAILY_CONDITIONS = ["percent_change"];
+
+const isSameDay = (a, b) =>
+  a.toISOString().slice(0, 10) === b.toISOString().slice(0, 10);
+
+// Whether a triggered daily alert last went off on an earlier day than the quote
+const isFromEarlierDay = (alert, stock) =>
+  DAILY_CONDITIONS.includes(alert.condition) &&
+  alert.lastTriggeredAt &&
+  !isSameDay(alert.lastTriggeredAt, stock.lastUpdated || new Date());
+
+/**
+ * Checks a stock's active alerts against its latest quote, notifying the
+ * owners of alerts whose condition has started to hold
+ * @param {Object} stock - Freshly updated stock
+ * @returns {Promise<number>} - Number of alerts triggered
+ */
+const evaluatePriceAlerts = async (stock) => {
+  const alerts = await PriceAlert.find({ stock: stock._id, active: true });
+  let triggered = 0;
+
+  for (const alert of alerts) {
+    // A daily move can hold for several days in a row; each day counts anew
+    if (alert.conditionMet && isFromEarlierDay(alert, stock)) {
+      const rearmed = await PriceAlert.updateOne(
+        {
+          _id: alert._id,
+          conditionMet: true,
+          lastTriggeredAt: alert.lastTriggeredAt,
+        },
+        { $set: { conditionMet: false } }
+      );
+      // Another run got there first
+      if (rearmed.modifiedCount === 0) continue;
+      alert.conditionMet = false;
+    }
+
+    const met = alert.isConditionMet(stock);
+
+    if (!met) {
+      // Re-arm once the condition stops holding
+      if (alert.conditionMet) {
+        await PriceAlert.updateOne(
+          { _id: alert._id },
+          { $set: { conditionMet: false } }
+        );
+      }
+      continue;
+    }
+
+    if (alert.conditionMet) continue;
+
+    // Only the update that flips the alert notifies, even if two run at once
+    const result = await PriceAlert.updateOne(
+      { _id: alert._id, active: true, conditionMet: false },
+      {
+        $set: {
+          conditionMet: true,
+          active: alert.recurring,
+          lastTriggeredAt: new Date(),
+          lastTriggeredPrice: stock.currentPrice,
+        },
+        $inc: { triggerCount: 1 },
+      }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    triggered++;
+    try {
+      await createNotification(alert.user, {
+        type: "price_alert",
+        message: describeTrigger(alert, stock),
+        stock: stock._id,
+        priceAlert: alert._id,
+      });
+    } catch (notifyError) {
+      console.error(
+        `Failed to notify user ${alert.user} of price alert ${alert._id}:`,
+        notifyError.message
+      );
+    }
+  }
+
+  return triggered;
+};
+
+module.exports = {
+  evaluatePriceAlerts,
+};
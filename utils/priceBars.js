@@ -0,0 +1,143 @@
+const PriceBar = require("../models/priceBar.model");
+const {
+  STORED_INTERVALS,
+  HISTORY_INTERVALS,
+  MAX_HISTORY_BARS,
+} = require("../config/priceBars");
+
+// Start of the stored bar that contains a time
+const getBarStart = (date, interval) => {
+  const { ms } = STORED_INTERVALS[interval];
+  return new Date(Math.floor(date.getTime() / ms) * ms);
+};
+
+// Volume traded since the previous reading. The quote's volume is a running
+// total for the day, so it resets when the (UTC) day changes.
+const getVolumeDelta = ({ volume, previousVolume, previousAt, at }) => {
+  if (!volume) return 0;
+  if (
+    !previousVolume ||
+    !previousAt ||
+    getBarStart(previousAt, "1d").getTime() !== getBarStart(at, "1d").getTime()
+  ) {
+    return volume;
+  }
+  return Math.max(0, volume - previousVolume);
+};
+
+/**
+ * Folds a price reading into the stock's current bar for every stored interval
+ * @param {Object} stock - Stock the reading is for
+ * @param {Object} reading - The reading
+ * @param {number} reading.price - Latest price
+ * @param {number} [reading.volume] - Volume traded so far today
+ * @param {number} [reading.previousVolume] - Volume at the previous reading
+ * @param {Date} [reading.previousAt] - When the previous reading was taken
+ * @param {Date} [reading.at] - When this reading was taken
+ * @returns {Promise<void>}
+ */
+const recordPriceBars = async (
+  stock,
+  { price, volume, previousVolume, previousAt, at = new Date() }
+) => {
+  const volumeDelta = getVolumeDelta({
+    volume,
+    previousVolume,
+    previousAt,
+    at,
+  });
+
+  await Promise.all(
+    Object.keys(STORED_INTERVALS).map((interval) =>
+      PriceBar.updateOne(
+        { stock: stock._id, interval, start: getBarStart(at, interval) },
+        [
+          {
+            $set: {
+              symbol: stock.symbol,
+              open: { $ifNull: ["$open", price] },
+              high: { $max: [{ $ifNull: ["$high", price] }, price] },
+              low: { $min: [{ $ifNull: ["$low", price] }, price] },
+              close: price,
+              // Daily bars take the day's running total; shorter bars add
+              // up what was traded between readings
+              volume:
+                interval === "1d"
+                  ? volume || { $ifNull: ["$volume", 0] }
+                  : { $add: [{ $ifNull: ["$volume", 0] }, volumeDelta] },
+            },
+          },
+        ],
+        { upsert: true }
+      )
+    )
+  );
+};
+
+/**
+ * Loads OHLCV bars for a stock, aggregating stored bars into larger ones
+ * @param {Object} stock - Stock to load bars for
+ * @param {string} interval - A key of HISTORY_INTERVALS
+ * @param {Date} from - Earliest bar start to include
+ * @param {Date} to - Latest bar start to include
+ * @returns {Promise<Array>} - Bars, oldest first (the latest MAX_HISTORY_BARS if there are more)
+ */
+const getPriceHistory = async (stock, interval, from, to) => {
+  const { source, unit, binSize } = HISTORY_INTERVALS[interval];
+  const match = {
+    stock: stock._id,
+    interval: source,
+    start: { $gte: from, $lte: to },
+  };
+  const project = {
+    _id: 0,
+    start: 1,
+    open: 1,
+    high: 1,
+    low: 1,
+    close: 1,
+    volume: 1,
+  };
+
+  // Take the newest bars first so a capped range ends at `to`
+  if (!unit) {
+    const bars = await PriceBar.find(match)
+      .sort({ start: -1 })
+      .limit(MAX_HISTORY_BARS)
+      .select(project)
+      .lean();
+    return bars.reverse();
+  }
+
+  const bars = await PriceBar.aggregate([
+    { $match: match },
+    { $sort: { start: 1 } },
+    {
+      $group: {
+        _id: {
+          $dateTrunc: {
+            date: "$start",
+            unit,
+            binSize,
+            timezone: "UTC",
+            startOfWeek: "monday",
+          },
+        },
+        open: { $first: "$open" },
+        high: { $max: "$high" },
+        low: { $min: "$low" },
+        close: { $last: "$close" },
+        volume: { $sum: "$volume" },
+      },
+    },
+    { $sort: { _id: -1 } },
+    { $limit: MAX_HISTORY_BARS },
+    { $project: { ...project, start: "$_id" } },
+  ]);
+  return bars.reverse();
+};
+
+module.exports = {
+  recordPriceBars,
+  getPriceHistory,
+};
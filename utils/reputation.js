@@ -0,0 +1,57 @@
+const User = require("../models/user.model");
+const ReputationEvent = require("../models/reputationEvent.model");
+const { REPUTATION_ACTIONS } = require("../config/reputation");
+
+// Write a ledger entry and keep the cached total on the user in step
+const writeEvent = async ({ author, actor, action, sourceId, reverse }) => {
+  // Anonymous content has no author, anonymous votes (one per session or IP,
+  // so easy to repeat) earn nothing, and neither does voting on your own content
+  if (!author || !actor) return;
+  if (actor.toString() === author.toString()) return;
+
+  const { sourceType, points } = REPUTATION_ACTIONS[action];
+  const delta = reverse ? -points : points;
+
+  await ReputationEvent.create({
+    user: author,
+    actor,
+    action,
+    sourceType,
+    sourceId,
+    points: delta,
+    isReversal: !!reverse,
+  });
+  await User.updateOne({ _id: author }, { $inc: { reputation: delta } });
+};
+
+/**
+ * Credits (or debits) a content author for a vote
+ * @param {Object} event - The vote being recorded
+ * @param {string} event.author - ID of the content author
+ * @param {string} [event.actor] - ID of the voter (anonymous votes earn nothing)
+ * @param {string} event.action - Key of REPUTATION_ACTIONS
+ * @param {string} event.sourceId - ID of the voted content
+ * @returns {Promise<void>}
+ */
+const recordReputation = async (event) => {
+  try {
+    await writeEvent({ ...event, reverse: false });
+  } catch (error) {
+    // Never fail the vote itself; the recompute script repairs drift
+    console.error("Error recording reputation:", error);
+  }
+};
+
+// Cancel an earlier vote (unlike, vote switch or removal)
+const reverseReputation = async (event) => {
+  try {
+    await writeEvent({ ...event, reverse: true });
+  } catch (error) {
+    console.error("Error reversing reputation:", error);
+  }
+};
+
+module.exports = {
+  recordReputation,
+  reverseReputation,
+};
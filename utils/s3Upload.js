@@ -10,11 +10,11 @@ const s3 = new AWS.S3({
 });
 
 // Generate unique filename to prevent conflicts
-const generateUniqueFileName = (originalName) => {
+const generateUniqueFileName = (originalName, prefix = "portfolio") => {
   const extension = path.extname(originalName).toLowerCase();
   const uniqueId = uuidv4();
   const timestamp = Date.now();
-  return `portfolio-${timestamp}-${uniqueId}${extension}`;
+  return `${prefix}-${timestamp}-${uniqueId}${extension}`;
 };
 
 // Upload file to S3
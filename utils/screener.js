@@ -0,0 +1,151 @@
+const Stock = require("../models/stock.model");
+const {
+  SCREENER_RANGE_FIELDS,
+  SCREENER_EQUALITY_FIELDS,
+  SCREENER_FLAG_FIELDS,
+  SCREENER_SORT_FIELDS,
+  SCREENER_DEFAULT_SORT,
+} = require("../config/screener");
+
+// Long text is left out of screener results
+const SCREENER_EXCLUDED_FIELDS = "-description";
+
+// Parse a numeric bound; undefined if absent, NaN if invalid
+const parseBound = (value) => {
+  if (value === undefined || value === "") return undefined;
+  if (typeof value !== "string" && typeof value !== "number") return NaN;
+  return Number(value);
+};
+
+// Split a comma-separated list (or repeated query parameter) into values
+const parseList = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Validates screener parameters and reduces them to their canonical form,
+ * dropping anything that isn't a whitelisted field
+ * @param {Object} params - Screener parameters (e.g. req.query)
+ * @returns {{criteria: Object}|{error: string}} - e.g. { marketCapMin: 1e10, sector: ["Technology"], isEtf: false, sort: "-marketCap" }
+ */
+const parseScreenerCriteria = (params) => {
+  const criteria = {};
+
+  for (const field of SCREENER_RANGE_FIELDS) {
+    const min = parseBound(params[`${field}Min`]);
+    const max = parseBound(params[`${field}Max`]);
+
+    if (Number.isNaN(min) || Number.isNaN(max)) {
+      return { error: `${field} bounds must be numbers` };
+    }
+    if (min !== undefined && max !== undefined && min > max) {
+      return { error: `${field}Min must not be greater than ${field}Max` };
+    }
+
+    if (min !== undefined) criteria[`${field}Min`] = min;
+    if (max !== undefined) criteria[`${field}Max`] = max;
+  }
+
+  for (const field of SCREENER_EQUALITY_FIELDS) {
+    if (params[field] === undefined) continue;
+
+    const values = parseList(params[field]);
+    if (values.length > 0) criteria[field] = values;
+  }
+
+  for (const field of SCREENER_FLAG_FIELDS) {
+    if (params[field] === undefined) continue;
+
+    const value = String(params[field]);
+    if (value !== "true" && value !== "false") {
+      return { error: `${field} must be true or false` };
+    }
+    criteria[field] = value === "true";
+  }
+
+  const sortKeys = parseList(params.sort || SCREENER_DEFAULT_SORT);
+  for (const key of sortKeys) {
+    const field = key.replace(/^[-+]/, "");
+    if (!SCREENER_SORT_FIELDS.includes(field)) {
+      return {
+        error: `Cannot sort by ${field}. Sortable fields: ${SCREENER_SORT_FIELDS.join(
+          ", "
+        )}`,
+      };
+    }
+  }
+  criteria.sort = sortKeys.join(",");
+
+  return { criteria };
+};
+
+/**
+ * Builds a Stock query from screener parameters
+ * @param {Object} params - Screener parameters, raw or canonical
+ * @returns {{filter: Object, sort: Object}|{error: string}}
+ */
+const buildScreenerQuery = (params) => {
+  const { criteria, error } = parseScreenerCriteria(params);
+  if (error) return { error };
+
+  const filter = {};
+
+  for (const field of SCREENER_RANGE_FIELDS) {
+    const min = criteria[`${field}Min`];
+    const max = criteria[`${field}Max`];
+
+    if (min !== undefined || max !== undefined) {
+      filter[field] = {};
+      if (min !== undefined) filter[field].$gte = min;
+      if (max !== undefined) filter[field].$lte = max;
+    }
+  }
+
+  for (const field of SCREENER_EQUALITY_FIELDS) {
+    const values = criteria[field];
+    if (values) {
+      filter[field] = values.length === 1 ? values[0] : { $in: values };
+    }
+  }
+
+  for (const field of SCREENER_FLAG_FIELDS) {
+    if (criteria[field] !== undefined) filter[field] = criteria[field];
+  }
+
+  const sort = {};
+  for (const key of criteria.sort.split(",")) {
+    sort[key.replace(/^[-+]/, "")] = key.startsWith("-") ? -1 : 1;
+  }
+  // Tie-break on _id so pages don't overlap
+  sort._id = 1;
+
+  return { filter, sort };
+};
+
+/**
+ * Loads one page of stocks matching a screener query
+ * @param {Object} query - Result of buildScreenerQuery
+ * @param {Object} page - Pagination from getPagination
+ * @returns {Promise<{stocks: Array, totalCount: number}>}
+ */
+const runScreener = async ({ filter, sort }, { skip, limit }) => {
+  const [stocks, totalCount] = await Promise.all([
+    Stock.find(filter)
+      .select(SCREENER_EXCLUDED_FIELDS)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Stock.countDocuments(filter),
+  ]);
+
+  return { stocks, totalCount };
+};
+
+module.exports = {
+  parseScreenerCriteria,
+  buildScreenerQuery,
+  runScreener,
+};
@@ -0,0 +1,144 @@
+const Stock = require("../models/stock.model");
+const SentimentVote = require("../models/sentimentVote.model");
+const SentimentSnapshot = require("../models/sentimentSnapshot.model");
+const { SENTIMENT_COUNT_FIELDS } = require("../config/sentiment");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// UTC midnight at the start of a date's day
+const getDayStart = (date) =>
+  new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+// Identify who is voting: signed-in users by ID, everyone else by IP
+const getVoter = (req) =>
+  req.userId ? { user: req.userId } : { ip: req.ip || "anonymous" };
+
+// Tallies as returned to clients
+const toSentimentCounts = (bullish, bearish) => ({
+  bullish,
+  bearish,
+  bullishPercent:
+    bullish + bearish > 0
+      ? Math.round((bullish / (bullish + bearish)) * 1000) / 10
+      : null,
+});
+
+/**
+ * Stores a stock's current tallies as today's snapshot
+ * @param {Object} stock - Stock with bullishVotes and bearishVotes
+ * @param {number} [votes] - Votes to add to today's activity count
+ * @returns {Promise<void>}
+ */
+const recordSentimentSnapshot = async (stock, votes = 0) => {
+  await SentimentSnapshot.updateOne(
+    { stock: stock._id, date: getDayStart(new Date()) },
+    {
+      $set: { bullish: stock.bullishVotes, bearish: stock.bearishVotes },
+      $inc: { votes },
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Casts, changes or withdraws a voter's sentiment on a stock, keeping the
+ * stock's tallies and today's snapshot up to date
+ * @param {Object} stock - Stock being voted on
+ * @param {Object} voter - { user } or { ip } (see getVoter)
+ * @param {string|null} sentiment - "bullish", "bearish", or null to withdraw
+ * @returns {Promise<{vote: string|null, counts: Object}>} - The voter's vote and the new tallies
+ */
+const castSentimentVote = async (stock, voter, sentiment) => {
+  const query = { stock: stock._id, ...voter };
+
+  // Both return the vote as it was before this change (null if none)
+  const previousVote = sentiment
+    ? await SentimentVote.findOneAndUpdate(
+        query,
+        { $set: { sentiment } },
+        { upsert: true }
+      ).lean()
+    : await SentimentVote.findOneAndDelete(query).lean();
+  const previous = previousVote ? previousVote.sentiment : null;
+
+  let updated = stock;
+  if (previous !== sentiment) {
+    const inc = {};
+    if (previous) inc[SENTIMENT_COUNT_FIELDS[previous]] = -1;
+    if (sentiment) inc[SENTIMENT_COUNT_FIELDS[sentiment]] = 1;
+
+    updated = await Stock.findByIdAndUpdate(
+      stock._id,
+      { $inc: inc },
+      { new: true }
+    )
+      .select("bullishVotes bearishVotes")
+      .lean();
+
+    try {
+      await recordSentimentSnapshot(updated, 1);
+    } catch (snapshotError) {
+      console.error(
+        `Failed to record sentiment snapshot for ${stock._id}:`,
+        snapshotError.message
+      );
+    }
+  }
+
+  return {
+    vote: sentiment,
+    counts: toSentimentCounts(updated.bullishVotes, updated.bearishVotes),
+  };
+};
+
+/**
+ * Builds a daily sentiment series for a stock, carrying tallies over days
+ * without a snapshot
+ * @param {Object} stock - Stock to build the series for
+ * @param {number} days - Number of days, ending today
+ * @returns {Promise<Array>} - One entry per day, oldest first
+ */
+const getSentimentHistory = async (stock, days) => {
+  const today = getDayStart(new Date());
+  const from = new Date(today.getTime() - (days - 1) * DAY_MS);
+
+  const [before, snapshots] = await Promise.all([
+    SentimentSnapshot.findOne({ stock: stock._id, date: { $lt: from } })
+      .sort({ date: -1 })
+      .lean(),
+    SentimentSnapshot.find({ stock: stock._id, date: { $gte: from } })
+      .sort({ date: 1 })
+      .lean(),
+  ]);
+
+  const byDay = new Map(
+    snapshots.map((snapshot) => [snapshot.date.getTime(), snapshot])
+  );
+  let bullish = before ? before.bullish : 0;
+  let bearish = before ? before.bearish : 0;
+  const series = [];
+
+  for (let day = from.getTime(); day <= today.getTime(); day += DAY_MS) {
+    const snapshot = byDay.get(day);
+    if (snapshot) {
+      bullish = snapshot.bullish;
+      bearish = snapshot.bearish;
+    }
+
+    series.push({
+      date: new Date(day).toISOString().slice(0, 10),
+      ...toSentimentCounts(bullish, bearish),
+      votes: snapshot ? snapshot.votes : 0,
+    });
+  }
+
+  return series;
+};
+
+module.exports = {
+  getVoter,
+  toSentimentCounts,
+  recordSentimentSnapshot,
+  castSentimentVote,
+  getSentimentHistory,
+};
@@ -1,12 +1,32 @@
 const axios = require("axios");
 const Stock = require("../models/stock.model");
+const { recordPriceBars } = require("./priceBars");
+const { evaluatePriceAlerts } = require("./priceAlerts");
+
+/**
+ * Fetches a stock's profile (quote and company data) from Financial Modeling Prep
+ * @param {string} symbol - Stock symbol
+ * @param {string} apiKey - The API key for Financial Modeling Prep
+ * @returns {Promise<Object|undefined>} - The profile, if FMP has one
+ */
+async function fetchFMPProfile(symbol, apiKey) {
+  const response = await axios.get(
+    `https://financialmodelingprep.com/stable/profile?symbol=${symbol}&apikey=${apiKey}`
+  );
+  return response.data && response.data[0];
+}
 
 /**
  * Updates stock data from Financial Modeling Prep API
  * @param {string} apiKey - The API key for Financial Modeling Prep
- * @returns {Promise<{success: number, failed: number}>} - Number of successfully and failed updates
+ * @param {Object} [options]
+ * @param {Function} [options.fetchProfile] - Profile source (defaults to FMP; swap in a fake for tests)
+ * @returns {Promise<{success: number, failed: number, alertsTriggered: number}>} - Number of successful and failed updates, and price alerts triggered
  */
-async function updateStocksFromFMP(apiKey) {
+async function updateStocksFromFMP(
+  apiKey,
+  { fetchProfile = fetchFMPProfile } = {}
+) {
   if (!apiKey) {
     throw new Error("API key is required");
   }
@@ -14,6 +34,7 @@ async function updateStocksFromFMP(apiKey) {
   const stats = {
     success: 0,
     failed: 0,
+    alertsTriggered: 0,
   };
 
   try {
@@ -25,17 +46,16 @@ async function updateStocksFromFMP(apiKey) {
     for (const stock of stocks) {
       try {
         // Fetch data from FMP API
-        const response = await axios.get(
-          `https://financialmodelingprep.com/stable/profile?symbol=${stock.symbol}&apikey=${apiKey}`
-        );
+        const data = await fetchProfile(stock.symbol, apiKey);
 
-        if (!response.data || !response.data[0]) {
+        if (!data) {
           console.error(`No data returned for ${stock.symbol}`);
           stats.failed++;
           continue;
         }
 
-        const data = response.data[0];
+        const previousVolume = stock.volume;
+        const previousAt = stock.lastUpdated;
 
         // Update stock with new data
         stock.name = data.companyName || stock.name;
@@ -49,8 +69,9 @@ async function updateStocksFromFMP(apiKey) {
         stock.beta = data.beta || stock.beta;
         stock.lastDividend = data.lastDividend || stock.lastDividend;
         stock.range = data.range || stock.range;
-        stock.change = data.change || stock.change;
-        stock.percentChange = data.changePercentage || stock.percentChange;
+        // A flat day reports 0, which must not keep the previous day's move
+        stock.change = data.change ?? stock.change;
+        stock.percentChange = data.changePercentage ?? stock.percentChange;
         stock.volume = data.volume || stock.volume;
         stock.averageVolume = data.averageVolume || stock.averageVolume;
         stock.cik = data.cik || stock.cik;
@@ -80,6 +101,36 @@ async function updateStocksFromFMP(apiKey) {
         stock.lastUpdated = new Date();
 
         await stock.save();
+
+        // Append the reading to the stock's price history (the latest
+        // values on the stock itself are still overwritten above)
+        if (typeof data.price === "number") {
+          try {
+            await recordPriceBars(stock, {
+              price: data.price,
+              volume: data.volume,
+              previousVolume,
+              previousAt,
+              at: stock.lastUpdated,
+            });
+          } catch (barError) {
+            console.error(
+              `Failed to record price bars for ${stock.symbol}:`,
+              barError.message
+            );
+          }
+        }
+
+        // Notify users whose price alerts the new quote sets off
+        try {
+          stats.alertsTriggered += await evaluatePriceAlerts(stock);
+        } catch (alertError) {
+          console.error(
+            `Failed to evaluate price alerts for ${stock.symbol}:`,
+            alertError.message
+          );
+        }
+
         console.log(`Successfully updated ${stock.symbol}`);
         stats.success++;
 
@@ -99,5 +150,6 @@ async function updateStocksFromFMP(apiKey) {
 }
 
 module.exports = {
+  fetchFMPProfile,
   updateStocksFromFMP,
 };
@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+
+// TOTP parameters (RFC 6238 defaults understood by every authenticator app)
+const TOTP_CONFIG = {
+  digits: 6,
+  period: 30,
+  algorithm: "sha1",
+  // Accept codes from one step before/after to tolerate clock drift
+  window: 1,
+};
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Encode a buffer as RFC 4648 base32 (no padding)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode an RFC 4648 base32 string into a buffer
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, "").replace(/\s+/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character in secret");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new random base32 secret (160 bits)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Compute the HOTP code for a given counter
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac(TOTP_CONFIG.algorithm, base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_CONFIG.digits)
+    .toString()
+    .padStart(TOTP_CONFIG.digits, "0");
+};
+
+// Current time step
+const getTimeStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / TOTP_CONFIG.period);
+
+// Generate the TOTP code for the current (or given) time
+const generateTotp = (secret, timestamp = Date.now()) =>
+  generateHotp(secret, getTimeStep(timestamp));
+
+/**
+ * Verifies a TOTP code against a secret
+ * @param {string} secret - Base32 shared secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [lastUsedStep] - Time step of the last accepted code, to prevent replay
+ * @returns {number|null} - The matching time step, or null if the code is invalid
+ */
+const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || "").replace(/\s+/g, "");
+  if (!new RegExp(`^\\d{${TOTP_CONFIG.digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (
+    let step = currentStep - TOTP_CONFIG.window;
+    step <= currentStep + TOTP_CONFIG.window;
+    step++
+  ) {
+    if (step <= lastUsedStep) continue;
+
+    const expected = generateHotp(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// Build the otpauth:// URI that authenticator apps import (usually as a QR code)
+const buildOtpAuthUri = (secret, accountName, issuer = "Stock Forum") => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: TOTP_CONFIG.algorithm.toUpperCase(),
+    digits: String(TOTP_CONFIG.digits),
+    period: String(TOTP_CONFIG.period),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUri,
+  TOTP_CONFIG,
+};